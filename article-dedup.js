@@ -0,0 +1,144 @@
+/**
+ * Article Deduplication Module
+ *
+ * Shared helpers for spotting the same story across sources: URL
+ * normalization, Jaccard title similarity, deduplication (trend monitor)
+ * and story clustering (scanner).
+ */
+
+// Query params that identify a campaign or referrer rather than an article
+const TRACKING_PARAMS = ['utm_source', 'utm_medium', 'utm_campaign', 'utm_term', 'utm_content',
+  'ref', 'source', 'fbclid', 'gclid', 'msclkid', 'mc_cid', 'mc_eid'];
+
+/**
+ * Normalize a URL into an identity key (scheme, www, tracking params,
+ * fragment and trailing slash are ignored). Story clustering and the
+ * scanner's seen index both use it, so they agree on what is one article.
+ */
+function normalizeUrl(url) {
+  if (!url) return '';
+  try {
+    const parsed = new URL(url.trim());
+    TRACKING_PARAMS.forEach(param => parsed.searchParams.delete(param));
+    parsed.searchParams.sort();
+    const host = parsed.hostname.toLowerCase().replace(/^www\./, '');
+    const pathname = parsed.pathname.replace(/\/+$/, '');
+    const query = parsed.searchParams.toString();
+    return `${host}${pathname}${query ? `?${query}` : ''}`;
+  } catch {
+    return url.trim().toLowerCase();
+  }
+}
+
+/**
+ * Calculate title similarity using Jaccard coefficient
+ */
+function calculateTitleSimilarity(title1, title2) {
+  if (!title1 || !title2) return 0;
+  const normalize = (t) => t.toLowerCase().replace(/[^a-z0-9\s]/g, '').split(/\s+/).filter(w => w.length > 2);
+  const words1 = new Set(normalize(title1));
+  const words2 = new Set(normalize(title2));
+  if (words1.size === 0 || words2.size === 0) return 0;
+  const intersection = new Set([...words1].filter(x => words2.has(x)));
+  const union = new Set([...words1, ...words2]);
+  return intersection.size / union.size;
+}
+
+/**
+ * Deduplicate articles from multiple sources
+ * Returns deduplicated array with duplicates merged
+ */
+function deduplicateArticles(articles, similarityThreshold = 0.6) {
+  if (!articles || articles.length === 0) {
+    return { articles: [], originalCount: 0, deduplicatedCount: 0 };
+  }
+
+  const originalCount = articles.length;
+  const seen = new Map();
+  const titleGroups = [];
+  const result = [];
+
+  for (const article of articles) {
+    const normalizedUrl = normalizeUrl(article.link || article.url);
+
+    // Check URL-based deduplication first
+    if (normalizedUrl && seen.has(normalizedUrl)) {
+      const existing = seen.get(normalizedUrl);
+      existing.sources = existing.sources || [existing.source];
+      if (article.source && !existing.sources.includes(article.source)) {
+        existing.sources.push(article.source);
+      }
+      continue;
+    }
+
+    // Check title similarity
+    let foundSimilar = false;
+    for (const group of titleGroups) {
+      const similarity = calculateTitleSimilarity(article.title, group[0].title);
+      if (similarity >= similarityThreshold) {
+        group.push(article);
+        const existing = group[0];
+        existing.sources = existing.sources || [existing.source];
+        if (article.source && !existing.sources.includes(article.source)) {
+          existing.sources.push(article.source);
+        }
+        foundSimilar = true;
+        break;
+      }
+    }
+
+    if (!foundSimilar) {
+      titleGroups.push([article]);
+      if (normalizedUrl) {
+        seen.set(normalizedUrl, article);
+      }
+      article.sources = article.sources || [article.source];
+      result.push(article);
+    }
+  }
+
+  return {
+    articles: result,
+    originalCount,
+    deduplicatedCount: result.length,
+  };
+}
+
+/**
+ * Group articles that cover the same story
+ * Articles join a cluster when their normalized URL matches a member's or their
+ * title is at least similarityThreshold similar to any member's title.
+ * @param {Array} articles - Articles with title and link
+ * @param {number} similarityThreshold - Jaccard threshold (0-1)
+ * @returns {Array} Clusters as arrays of articles, in first-seen order
+ */
+function clusterArticles(articles, similarityThreshold = 0.6) {
+  const clusters = [];
+  const clusterByUrl = new Map();
+
+  for (const article of articles || []) {
+    const normalizedUrl = normalizeUrl(article.link || article.url);
+
+    let cluster = normalizedUrl ? clusterByUrl.get(normalizedUrl) : undefined;
+    if (!cluster) {
+      cluster = clusters.find(members =>
+        members.some(member => calculateTitleSimilarity(article.title, member.title) >= similarityThreshold));
+    }
+    if (!cluster) {
+      cluster = [];
+      clusters.push(cluster);
+    }
+
+    cluster.push(article);
+    if (normalizedUrl) clusterByUrl.set(normalizedUrl, cluster);
+  }
+
+  return clusters;
+}
+
+module.exports = {
+  normalizeUrl,
+  calculateTitleSimilarity,
+  deduplicateArticles,
+  clusterArticles,
+};
@@ -0,0 +1,157 @@
+/**
+ * Article Full-Text Extraction
+ *
+ * Fetches article HTML and strips navigation, scripts and other boilerplate
+ * into readable paragraph text. Used by the scanner so keyword matching and
+ * signal summaries see the whole article instead of a 2000-character snippet.
+ *
+ * Uses only regex-based cleanup (no DOM dependency): the main content is taken
+ * from <article>, then <main>, then <body>, and paragraphs shorter than
+ * MIN_PARAGRAPH_LENGTH (bylines, share buttons, captions) are dropped.
+ */
+
+const FETCH_TIMEOUT_MS = 10000;
+const MAX_HTML_BYTES = 2 * 1024 * 1024;
+const MAX_TEXT_LENGTH = 20000;
+const MIN_PARAGRAPH_LENGTH = 60;
+
+// Paywalled or script-rendered sites where extraction returns only a teaser
+const DEFAULT_SKIP_DOMAINS = ['joc.com', 'scmp.com', 'wsj.com', 'ft.com', 'bloomberg.com', 'news.google.com'];
+
+// Elements whose content is never article text
+const BOILERPLATE_TAGS = ['script', 'style', 'noscript', 'svg', 'iframe', 'nav', 'header', 'footer',
+  'aside', 'form', 'figure', 'button', 'select', 'template'];
+
+const NAMED_ENTITIES = {
+  amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ',
+  rsquo: '’', lsquo: '‘', rdquo: '”', ldquo: '“',
+  ndash: '–', mdash: '—', hellip: '…', eacute: 'é',
+};
+
+/**
+ * Decode HTML entities in a text fragment
+ */
+function decodeEntities(text) {
+  return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (entity, code) => {
+    if (code[0] === '#') {
+      const num = code[1].toLowerCase() === 'x' ? parseInt(code.slice(2), 16) : parseInt(code.slice(1), 10);
+      return Number.isFinite(num) && num > 0 && num <= 0x10ffff ? String.fromCodePoint(num) : '';
+    }
+    return NAMED_ENTITIES[code.toLowerCase()] ?? entity;
+  });
+}
+
+/**
+ * Return the inner HTML of the first matching element, or null
+ */
+function innerHtml(html, tag) {
+  const match = html.match(new RegExp(`<${tag}\\b[^>]*>([\\s\\S]*?)</${tag}>`, 'i'));
+  return match ? match[1] : null;
+}
+
+/**
+ * Convert an HTML document into readable article text
+ * @param {string} html - Raw HTML
+ * @returns {string} Paragraphs separated by blank lines ('' if nothing readable)
+ */
+function extractReadableText(html) {
+  if (!html) return '';
+
+  let content = html.replace(/<!--[\s\S]*?-->/g, '');
+  for (const tag of BOILERPLATE_TAGS) {
+    content = content.replace(new RegExp(`<${tag}\\b[^>]*>[\\s\\S]*?</${tag}>`, 'gi'), ' ');
+  }
+
+  content = innerHtml(content, 'article') || innerHtml(content, 'main') || innerHtml(content, 'body') || content;
+
+  // Paragraph-level blocks become line breaks, everything else is stripped
+  const text = content
+    .replace(/<\/?(p|div|section|h[1-6]|li|blockquote|br|tr)\b[^>]*>/gi, '\n')
+    .replace(/<[^>]+>/g, ' ');
+
+  const paragraphs = decodeEntities(text)
+    .split(/\n+/)
+    .map(line => line.replace(/\s+/g, ' ').trim())
+    .filter(line => line.length >= MIN_PARAGRAPH_LENGTH);
+
+  return paragraphs.join('\n\n').substring(0, MAX_TEXT_LENGTH);
+}
+
+/**
+ * Check whether extraction is disabled for a URL's domain (subdomains included)
+ */
+function isSkippedDomain(url, skipDomains = DEFAULT_SKIP_DOMAINS) {
+  try {
+    const host = new URL(url).hostname.toLowerCase().replace(/^www\./, '');
+    return skipDomains.some(domain => host === domain || host.endsWith(`.${domain}`));
+  } catch {
+    return true;
+  }
+}
+
+/**
+ * Fetch an article and extract its readable text
+ * @param {string} url - Article URL
+ * @param {object} [options]
+ * @param {number} [options.timeout] - Request timeout in ms
+ * @param {string} [options.userAgent] - User-Agent header
+ * @returns {Promise<string>} Extracted text ('' if the page has no readable content)
+ * @throws {Error} On network errors, timeouts and non-HTML responses
+ */
+async function fetchArticleText(url, options = {}) {
+  const timeout = options.timeout || FETCH_TIMEOUT_MS;
+  const controller = new AbortController();
+  const timeoutId = setTimeout(() => controller.abort(), timeout);
+
+  try {
+    const response = await fetch(url, {
+      headers: {
+        'User-Agent': options.userAgent || 'Mozilla/5.0 (compatible; NotionIntelScanner/1.0)',
+        'Accept': 'text/html,application/xhtml+xml',
+      },
+      redirect: 'follow',
+      signal: controller.signal,
+    });
+
+    if (!response.ok) {
+      throw new Error(`HTTP ${response.status}`);
+    }
+    const contentType = response.headers.get('content-type') || '';
+    if (!contentType.includes('html')) {
+      throw new Error(`Unsupported content type "${contentType}"`);
+    }
+    const length = parseInt(response.headers.get('content-length'), 10);
+    if (length > MAX_HTML_BYTES) {
+      throw new Error(`Page too large (${length} bytes)`);
+    }
+
+    const html = await response.text();
+    return extractReadableText(html.substring(0, MAX_HTML_BYTES));
+  } catch (error) {
+    if (error.name === 'AbortError') {
+      throw new Error(`Request timed out after ${timeout}ms`);
+    }
+    throw error;
+  } finally {
+    clearTimeout(timeoutId);
+  }
+}
+
+/**
+ * Parse a comma-separated domain list (e.g. from an environment variable)
+ */
+function parseDomainList(value) {
+  if (!value) return [];
+  return value
+    .split(',')
+    .map(domain => domain.trim().toLowerCase().replace(/^www\./, ''))
+    .filter(domain => domain.length > 0);
+}
+
+module.exports = {
+  DEFAULT_SKIP_DOMAINS,
+  extractReadableText,
+  isSkippedDomain,
+  fetchArticleText,
+  parseDomainList,
+};
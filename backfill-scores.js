@@ -34,18 +34,24 @@
  * Optional:
  *   NEWSDATA_API_KEY - NewsData.io API key (free tier: 200 credits/day)
  *   SERPAPI_KEY - SerpAPI key for Google News (100 free searches/month)
+ *   PROPERTY_ALIASES_FILE - JSON file mapping schema properties to other names (see notion-schema.js)
  *   VERBOSE - Set to 'true' for detailed factor breakdowns
  */
 
-const { Client } = require('@notionhq/client');
 const Parser = require('rss-parser');
+const { createNotionClient, formatNotionStats } = require('./notion-client');
+const { DATABASE_SCHEMAS, preflightDatabase, loadPropertyAliases } = require('./notion-schema');
 
 // Initialize Notion client
-const notion = new Client({ auth: process.env.NOTION_TOKEN });
+const { notion, notionRequest, notionStats } = createNotionClient({ auth: process.env.NOTION_TOKEN });
 
 // Configuration
 const MONITORS_DB = process.env.MONITORS_DATABASE_ID;
 const DRY_RUN = process.env.DRY_RUN === 'true' || process.argv.includes('--dry-run');
+const PROPERTY_ALIASES = loadPropertyAliases(process.env.PROPERTY_ALIASES_FILE);
+
+// Actual property names per schema field (set by the startup preflight)
+let monitorFields = {};
 
 // Constants
 const FETCH_TIMEOUT_MS = 10000;
@@ -129,23 +135,6 @@ async function fetchWithTimeout(url, options = {}, timeout = FETCH_TIMEOUT_MS) {
   }
 }
 
-async function notionRequest(fn, retries = 3) {
-  for (let i = 0; i < retries; i++) {
-    try {
-      return await fn();
-    } catch (error) {
-      if (error.code === 'rate_limited' || error.status === 429) {
-        const delay = Math.pow(2, i) * 1000;
-        console.log(`  Rate limited, waiting ${delay}ms...`);
-        await sleep(delay);
-        continue;
-      }
-      throw error;
-    }
-  }
-  throw new Error('Max retries exceeded');
-}
-
 function parseTerms(termsText) {
   if (!termsText) return [];
   return termsText
@@ -171,7 +160,7 @@ async function fetchAllActiveMonitors() {
     const response = await notionRequest(() => notion.databases.query({
       database_id: MONITORS_DB,
       filter: {
-        property: 'active',
+        property: monitorFields.active,
         checkbox: { equals: true }
       },
       start_cursor: startCursor,
@@ -180,17 +169,17 @@ async function fetchAllActiveMonitors() {
     for (const page of response.results) {
       const props = page.properties;
 
-      const monitorId = props.monitor_id?.title?.[0]?.plain_text || page.id;
-      const terms = props.terms?.rich_text?.[0]?.plain_text || '';
-      const threshold = props.threshold?.number || 20;
-      const interval = props.interval?.select?.name || 'week';
-      const lastCheck = props.last_check?.date?.start || null;
+      const monitorId = props[monitorFields.monitor_id]?.title?.[0]?.plain_text || page.id;
+      const terms = props[monitorFields.terms]?.rich_text?.[0]?.plain_text || '';
+      const threshold = props[monitorFields.threshold]?.number || 20;
+      const interval = props[monitorFields.interval]?.select?.name || 'week';
+      const lastCheck = props[monitorFields.last_check]?.date?.start || null;
 
       // Read existing scores for historical tracking
-      const previousTrendScore = props.trend_score?.number || null;
-      const previousCoherence = props.Coherency?.number || props.coherence?.number || null;
-      const previousConfidence = props.confidence?.number || null;
-      const previousChangePercent = props.change_percent?.number || null;
+      const previousTrendScore = props[monitorFields.trend_score]?.number || null;
+      const previousCoherence = props[monitorFields.Coherency]?.number || null;
+      const previousConfidence = props[monitorFields.confidence]?.number || null;
+      const previousChangePercent = props[monitorFields.change_percent]?.number || null;
 
       // Pre-populate score history if we have previous scores
       if (previousTrendScore !== null) {
@@ -238,68 +227,35 @@ async function updateMonitorScoresOnly(pageId, monitorId, results) {
     return true;
   }
 
-  try {
-    const properties = {
-      'last_check': { date: { start: today } },
-    };
+  // Only properties the Monitors database has (see the startup preflight)
+  const properties = {};
+  const setProperty = (name, value) => {
+    if (monitorFields[name]) properties[monitorFields[name]] = value;
+  };
+  const setText = (name, text) => {
+    if (text) setProperty(name, { rich_text: [{ text: { content: text.substring(0, 2000) } }] });
+  };
 
-    // Add score properties
-    if (results.trendScore !== undefined) {
-      properties['trend_score'] = { number: results.trendScore };
-    }
-    if (results.coherenceScore !== undefined) {
-      properties['Coherency'] = { number: results.coherenceScore };
-    }
-    if (results.confidence !== undefined) {
-      properties['confidence'] = { number: results.confidence };
-    }
-    if (results.changePercent !== undefined) {
-      properties['change_percent'] = { number: results.changePercent };
-    }
+  setProperty('last_check', { date: { start: today } });
+  if (results.trendScore !== undefined) setProperty('trend_score', { number: results.trendScore });
+  if (results.coherenceScore !== undefined) setProperty('Coherency', { number: results.coherenceScore });
+  if (results.confidence !== undefined) setProperty('confidence', { number: results.confidence });
+  if (results.changePercent !== undefined) setProperty('change_percent', { number: results.changePercent });
 
-    // Add context properties (Rich Text)
-    if (results.source_urls) {
-      properties['source_urls'] = {
-        rich_text: [{ text: { content: results.source_urls.substring(0, 2000) } }]
-      };
-    }
-    if (results.top_articles) {
-      properties['top_articles'] = {
-        rich_text: [{ text: { content: results.top_articles.substring(0, 2000) } }]
-      };
-    }
-    if (results.summary) {
-      properties['summary'] = {
-        rich_text: [{ text: { content: results.summary.substring(0, 2000) } }]
-      };
-    }
-    if (results.regions_data) {
-      properties['regions_data'] = {
-        rich_text: [{ text: { content: results.regions_data.substring(0, 2000) } }]
-      };
-    }
+  // Context properties (Rich Text)
+  setText('source_urls', results.source_urls);
+  setText('top_articles', results.top_articles);
+  setText('summary', results.summary);
+  setText('regions_data', results.regions_data);
 
+  try {
     await notionRequest(() => notion.pages.update({
       page_id: pageId,
       properties,
     }));
     return true;
   } catch (error) {
-    if (error.message?.includes('property does not exist') || error.code === 'validation_error') {
-      console.error(`  Warning: Some properties may not exist in your Notion database.`);
-      console.error(`  Please add these properties to your Trend Monitors database:`);
-      console.error(`    - trend_score (Number)`);
-      console.error(`    - Coherency (Number)`);
-      console.error(`    - confidence (Number)`);
-      console.error(`    - change_percent (Number)`);
-      console.error(`    - source_urls (Rich Text)`);
-      console.error(`    - top_articles (Rich Text)`);
-      console.error(`    - summary (Rich Text)`);
-      console.error(`    - regions_data (Rich Text)`);
-      console.error(`  Error: ${error.message}`);
-    } else {
-      console.error(`  Error updating monitor: ${error.message}`);
-    }
+    console.error(`  Error updating monitor: ${error.message}`);
     return false;
   }
 }
@@ -1178,6 +1134,10 @@ async function main() {
     console.error('Error: MONITORS_DATABASE_ID environment variable not set');
     process.exit(1);
   }
+  if (PROPERTY_ALIASES.error) {
+    console.error(`Error: Invalid property aliases ${PROPERTY_ALIASES.error}`);
+    process.exit(1);
+  }
 
   // Show available data sources
   console.log('Data Sources:');
@@ -1192,10 +1152,15 @@ async function main() {
   console.log('');
 
   try {
-    // Test Notion connection
-    console.log('Testing Notion connection...');
-    await notionRequest(() => notion.databases.retrieve({ database_id: MONITORS_DB }));
-    console.log('Notion connection successful');
+    // Check the database schema before fetching anything
+    console.log('Checking Trend Monitors database schema...');
+    const monitorsCheck = await preflightDatabase({ notion, notionRequest }, DATABASE_SCHEMAS.monitors, MONITORS_DB, PROPERTY_ALIASES.aliases.monitors);
+    monitorFields = monitorsCheck.fields;
+    const unsaved = monitorsCheck.missing.map(entry => entry.name);
+    if (unsaved.length > 0) {
+      console.log(`  Note: Trend Monitors database has no ${unsaved.join(', ')} properties - those results will not be saved`);
+    }
+    console.log('Notion connection successful, schema OK');
     console.log('');
 
     // Fetch ALL active monitors (ignoring last_check and interval)
@@ -1277,6 +1242,7 @@ async function main() {
     console.log(`Processed:               ${processed}`);
     console.log(`Updated:                 ${updated}`);
     console.log(`Skipped (no terms):      ${skipped}`);
+    console.log(`Notion API:              ${formatNotionStats(notionStats)}`);
     console.log(`Errors:                  ${errors}`);
     console.log(`Completed:               ${new Date().toISOString()}`);
     console.log('');
@@ -0,0 +1,198 @@
+/**
+ * Daily Digest
+ *
+ * Builds one Notion page per scan run listing the new signals grouped by
+ * category and signal type, highest confidence first, with counts compared
+ * to the 7-day average. Leadership reads the digest instead of scrolling the
+ * Signals database.
+ *
+ * Daily counts are kept in digest-history.json in the scanner state directory;
+ * the average covers the previous 7 days the scanner ran (today excluded).
+ */
+
+const { readState, writeState } = require('./state-store');
+
+const STATE_NAME = 'digest-history';
+const AVERAGE_DAYS = 7;
+const HISTORY_DAYS = 30;
+const TOP_SIGNALS = 5;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Load daily signal counts from disk
+ */
+function loadDigestHistory() {
+  const stored = readState(STATE_NAME, null);
+  return stored && stored.days ? stored : { days: {} };
+}
+
+/**
+ * Persist daily signal counts to disk
+ */
+function saveDigestHistory(history) {
+  return writeState(STATE_NAME, history);
+}
+
+/**
+ * Count signals per category and per signal type
+ */
+function countSignals(signals) {
+  const counts = { total: signals.length, categories: {}, types: {} };
+  for (const signal of signals) {
+    counts.categories[signal.category] = (counts.categories[signal.category] || 0) + 1;
+    counts.types[signal.signalType] = (counts.types[signal.signalType] || 0) + 1;
+  }
+  return counts;
+}
+
+/**
+ * Add a run's signals to the day's counts and drop days older than HISTORY_DAYS
+ * @param {object} history - From loadDigestHistory()
+ * @param {string} date - Run date (YYYY-MM-DD)
+ * @param {Array} signals - Signals created this run
+ */
+function recordDigestDay(history, date, signals) {
+  const counts = countSignals(signals);
+  const day = history.days[date] || { total: 0, categories: {}, types: {} };
+
+  day.total += counts.total;
+  for (const group of ['categories', 'types']) {
+    for (const [name, count] of Object.entries(counts[group])) {
+      day[group][name] = (day[group][name] || 0) + count;
+    }
+  }
+  history.days[date] = day;
+
+  const oldest = new Date(new Date(`${date}T00:00:00Z`).getTime() - HISTORY_DAYS * DAY_MS).toISOString().split('T')[0];
+  for (const key of Object.keys(history.days)) {
+    if (key < oldest) delete history.days[key];
+  }
+  return history;
+}
+
+/**
+ * Average daily counts over the AVERAGE_DAYS days before a date
+ * @returns {object|null} { days, total, categories, types } or null without history
+ */
+function sevenDayAverages(history, date) {
+  const start = new Date(new Date(`${date}T00:00:00Z`).getTime() - AVERAGE_DAYS * DAY_MS).toISOString().split('T')[0];
+  const days = Object.keys(history.days).filter(key => key >= start && key < date);
+  if (days.length === 0) return null;
+
+  const averages = { days: days.length, total: 0, categories: {}, types: {} };
+  for (const key of days) {
+    const day = history.days[key];
+    averages.total += day.total / days.length;
+    for (const group of ['categories', 'types']) {
+      for (const [name, count] of Object.entries(day[group] || {})) {
+        averages[group][name] = (averages[group][name] || 0) + count / days.length;
+      }
+    }
+  }
+  return averages;
+}
+
+/**
+ * Format a count against its average ("4 (avg 2.5, +1.5)")
+ */
+function formatVersusAverage(count, average) {
+  if (average === null || average === undefined) return `${count} (no history)`;
+  const delta = Math.round((count - average) * 10) / 10;
+  return `${count} (avg ${average.toFixed(1)}, ${delta >= 0 ? '+' : ''}${delta})`;
+}
+
+/**
+ * Rich text linking to a signal page (mention), or plain text in dry runs
+ */
+function signalText(signal) {
+  const confidence = { text: { content: ` - ${Math.round(signal.confidence * 100)}% confidence${signal.sourceCount > 1 ? `, ${signal.sourceCount} sources` : ''}` } };
+  if (!signal.pageId) {
+    return [{ text: { content: signal.title.substring(0, 200), link: signal.link ? { url: signal.link } : null } }, confidence];
+  }
+  return [{ type: 'mention', mention: { page: { id: signal.pageId } } }, confidence];
+}
+
+/**
+ * Build the digest page content
+ * @param {Array} signals - [{ pageId, title, link, category, signalType, confidence, sourceCount }]
+ * @param {object|null} averages - From sevenDayAverages()
+ * @param {string} date - Run date (YYYY-MM-DD)
+ * @returns {Array} Notion blocks
+ */
+function buildDigestBlocks(signals, averages, date) {
+  const counts = countSignals(signals);
+  const byConfidence = [...signals].sort((a, b) => b.confidence - a.confidence);
+  const cell = (content) => [{ type: 'text', text: { content: String(content).substring(0, 2000) } }];
+  const bullet = (signal) => ({ type: 'bulleted_list_item', bulleted_list_item: { rich_text: signalText(signal) } });
+
+  const blocks = [
+    {
+      type: 'callout',
+      callout: {
+        icon: { type: 'emoji', emoji: '🗞️' },
+        rich_text: [{ text: { content:
+          `New signals on ${date}: ${formatVersusAverage(counts.total, averages?.total)}` +
+          (averages ? `. Averages cover the previous ${averages.days} scan days.` : '')
+        } }]
+      }
+    },
+  ];
+
+  if (signals.length === 0) return blocks;
+
+  blocks.push(
+    { type: 'heading_2', heading_2: { rich_text: [{ text: { content: '⭐ Top Signals' } }] } },
+    ...byConfidence.slice(0, TOP_SIGNALS).map(bullet),
+  );
+
+  const rows = [
+    ...Object.keys(counts.categories).sort().map(name => ['Category', name, counts.categories[name], averages?.categories[name] ?? (averages ? 0 : null)]),
+    ...Object.keys(counts.types).sort().map(name => ['Signal type', name, counts.types[name], averages?.types[name] ?? (averages ? 0 : null)]),
+  ];
+  blocks.push(
+    { type: 'heading_2', heading_2: { rich_text: [{ text: { content: '📊 Counts vs 7-Day Average' } }] } },
+    {
+      type: 'table',
+      table: {
+        table_width: 4,
+        has_column_header: true,
+        has_row_header: false,
+        children: [
+          { type: 'table_row', table_row: { cells: ['Group', 'Name', 'Today', '7-Day Avg'].map(cell) } },
+          ...rows.map(([group, name, count, average]) => ({
+            type: 'table_row',
+            table_row: { cells: [cell(group), cell(name), cell(count), cell(average === null ? '-' : average.toFixed(1))] },
+          })),
+        ],
+      },
+    },
+  );
+
+  // Categories with the strongest signals first; types within a category the same way
+  const categories = [...new Set(byConfidence.map(signal => signal.category))];
+  for (const category of categories) {
+    const inCategory = byConfidence.filter(signal => signal.category === category);
+    blocks.push({
+      type: 'heading_2',
+      heading_2: { rich_text: [{ text: { content: `${category} - ${formatVersusAverage(inCategory.length, averages ? averages.categories[category] || 0 : null)}` } }] }
+    });
+
+    for (const signalType of [...new Set(inCategory.map(signal => signal.signalType))]) {
+      blocks.push(
+        { type: 'heading_3', heading_3: { rich_text: [{ text: { content: signalType } }] } },
+        ...inCategory.filter(signal => signal.signalType === signalType).map(bullet),
+      );
+    }
+  }
+
+  return blocks;
+}
+
+module.exports = {
+  loadDigestHistory,
+  saveDigestHistory,
+  recordDigestDay,
+  sevenDayAverages,
+  buildDigestBlocks,
+};
@@ -0,0 +1,184 @@
+/**
+ * Named-Entity Extraction
+ *
+ * Tags article text with the entities the business tracks: competitors (from
+ * the scanner's competitor keywords), US states, federal agencies, HTS codes,
+ * ports and Chinese manufacturing cities. Dictionary and pattern based, so
+ * results are predictable and every entity has one canonical name - "Food and
+ * Drug Administration" and "FDA" both become the FDA entity.
+ */
+
+const { matchKeyword } = require('./keyword-matcher');
+
+const ENTITY_TYPES = {
+  COMPETITOR: 'Competitor',
+  STATE: 'State',
+  AGENCY: 'Agency',
+  HTS_CODE: 'HTS Code',
+  PORT: 'Port',
+  CITY: 'City',
+};
+
+const US_STATES = [
+  'Alabama', 'Alaska', 'Arizona', 'Arkansas', 'California', 'Colorado', 'Connecticut', 'Delaware',
+  'Florida', 'Georgia', 'Hawaii', 'Idaho', 'Illinois', 'Indiana', 'Iowa', 'Kansas', 'Kentucky',
+  'Louisiana', 'Maine', 'Maryland', 'Massachusetts', 'Michigan', 'Minnesota', 'Mississippi',
+  'Missouri', 'Montana', 'Nebraska', 'Nevada', 'New Hampshire', 'New Jersey', 'New Mexico',
+  'New York', 'North Carolina', 'North Dakota', 'Ohio', 'Oklahoma', 'Oregon', 'Pennsylvania',
+  'Rhode Island', 'South Carolina', 'South Dakota', 'Tennessee', 'Texas', 'Utah', 'Vermont',
+  'Virginia', 'Washington', 'West Virginia', 'Wisconsin', 'Wyoming',
+];
+
+// Canonical agency name -> aliases (abbreviations are matched case-sensitively)
+const AGENCIES = {
+  FDA: ['FDA', 'Food and Drug Administration'],
+  CBP: ['CBP', 'Customs and Border Protection'],
+  DEA: ['DEA', 'Drug Enforcement Administration'],
+  USTR: ['USTR', 'U.S. Trade Representative', 'US Trade Representative', 'United States Trade Representative'],
+  ATF: ['ATF', 'Bureau of Alcohol, Tobacco, Firearms'],
+  TTB: ['TTB', 'Alcohol and Tobacco Tax and Trade Bureau'],
+  FTC: ['FTC', 'Federal Trade Commission'],
+  USDA: ['USDA', 'Department of Agriculture'],
+  USITC: ['USITC', 'International Trade Commission'],
+  DOJ: ['DOJ', 'Department of Justice'],
+};
+
+// Canonical port name -> aliases
+const PORTS = {
+  'Port of Los Angeles': ['Port of Los Angeles', 'Los Angeles port'],
+  'Port of Long Beach': ['Port of Long Beach', 'Long Beach port'],
+  'Port of Oakland': ['Port of Oakland'],
+  'Port of Seattle': ['Port of Seattle'],
+  'Port of Tacoma': ['Port of Tacoma'],
+  'Port of New York and New Jersey': ['Port of New York and New Jersey', 'Port of New York', 'Port Newark'],
+  'Port of Savannah': ['Port of Savannah', 'Savannah port'],
+  'Port of Houston': ['Port of Houston'],
+  'Port of Charleston': ['Port of Charleston'],
+  'Port of Norfolk': ['Port of Norfolk', 'Port of Virginia'],
+  'Port of Miami': ['Port of Miami', 'PortMiami'],
+  'Port of Yantian': ['Yantian'],
+  'Port of Ningbo-Zhoushan': ['Ningbo-Zhoushan', 'Port of Ningbo'],
+  'Port of Shanghai': ['Port of Shanghai'],
+  'Port of Shekou': ['Shekou'],
+  'Port of Nansha': ['Nansha'],
+};
+
+const CHINESE_CITIES = [
+  'Shenzhen', 'Dongguan', 'Guangzhou', 'Yiwu', 'Ningbo', 'Xiamen', 'Foshan', 'Shanghai',
+  'Hangzhou', 'Wenzhou', 'Suzhou', 'Tianjin', 'Qingdao', 'Zhongshan', 'Huizhou',
+];
+
+// "HTS 8543", "subheading 8543.40", or a bare 8-10 digit code like "8543.40.00" /
+// "8543.40.0000" (bare 6-digit forms are too easily confused with prices)
+const HTS_PATTERN = /\b(?:HTS(?:US)?|subheading)\s*(?:code\s*)?(\d{4}(?:\.\d{2}(?:\.\d{2,4})?)?)\b|(?<![\d.$])(\d{4}\.\d{2}\.\d{2}(?:\.?\d{2})?)(?![\d.])/gi;
+
+/**
+ * Escape a string for use in a regular expression
+ */
+function escapeRegExp(string) {
+  return string.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Build a whole-word regex for a list of aliases
+ * Acronyms (all caps) stay case-sensitive so "dea" in prose is not the DEA
+ */
+function aliasRegex(aliases) {
+  const pattern = aliases.map(alias => escapeRegExp(alias).replace(/\s+/g, '\\s+')).join('|');
+  const caseSensitive = aliases.every(alias => /^[A-Z.]+$/.test(alias));
+  return new RegExp(`(?<![\\w-])(?:${pattern})(?![\\w-])`, caseSensitive ? '' : 'i');
+}
+
+/**
+ * Build [{ name, regex }] lookups from a canonical name -> aliases map
+ */
+function buildLookups(dictionary) {
+  return Object.entries(dictionary).flatMap(([name, aliases]) => {
+    const acronyms = aliases.filter(alias => /^[A-Z.]+$/.test(alias));
+    const phrases = aliases.filter(alias => !/^[A-Z.]+$/.test(alias));
+    return [acronyms, phrases]
+      .filter(list => list.length > 0)
+      .map(list => ({ name, regex: aliasRegex(list) }));
+  });
+}
+
+const STATE_LOOKUPS = US_STATES.map(name => ({ name, regex: new RegExp(`\\b${name.replace(/ /g, '\\s+')}\\b`) }));
+const AGENCY_LOOKUPS = buildLookups(AGENCIES);
+const PORT_LOOKUPS = buildLookups(PORTS);
+const CITY_LOOKUPS = CHINESE_CITIES.map(name => ({ name, regex: new RegExp(`\\b${name}\\b`) }));
+
+/**
+ * Find HTS code mentions in text
+ * @returns {Array} [{ code, start, end }] in text order (code without the "HTS" prefix)
+ */
+function findHtsCodes(text) {
+  return [...(text || '').matchAll(HTS_PATTERN)].map(match => ({
+    code: match[1] || match[2],
+    start: match.index,
+    end: match.index + match[0].length,
+  }));
+}
+
+/**
+ * Turn a competitor keyword into a display name ("dr dabber" -> "Dr Dabber")
+ */
+function competitorName(keyword) {
+  return keyword.replace(/\b[a-z]/g, letter => letter.toUpperCase());
+}
+
+/**
+ * Stable key for an entity (used for caching Notion pages)
+ */
+function entityKey(entity) {
+  return `${entity.type}|${entity.name.toLowerCase()}`;
+}
+
+/**
+ * Extract entities mentioned in text
+ * @param {string} text - Article title and body
+ * @param {object} [options]
+ * @param {Array} [options.competitors] - Compiled competitor keywords (compileKeyword results)
+ * @returns {Array} [{ name, type }] unique entities in type order
+ */
+function extractEntities(text, options = {}) {
+  if (!text) return [];
+  const entities = new Map();
+  const add = (name, type) => {
+    const entity = { name, type };
+    const key = entityKey(entity);
+    if (!entities.has(key)) entities.set(key, entity);
+  };
+
+  for (const compiled of options.competitors || []) {
+    if (matchKeyword(compiled, text)) add(competitorName(compiled.keyword), ENTITY_TYPES.COMPETITOR);
+  }
+
+  for (const { name, regex } of AGENCY_LOOKUPS) {
+    if (regex.test(text)) add(name, ENTITY_TYPES.AGENCY);
+  }
+
+  for (const { name, regex } of STATE_LOOKUPS) {
+    if (regex.test(text)) add(name, ENTITY_TYPES.STATE);
+  }
+
+  for (const { code } of findHtsCodes(text)) {
+    add(`HTS ${code}`, ENTITY_TYPES.HTS_CODE);
+  }
+
+  for (const { name, regex } of PORT_LOOKUPS) {
+    if (regex.test(text)) add(name, ENTITY_TYPES.PORT);
+  }
+
+  for (const { name, regex } of CITY_LOOKUPS) {
+    if (regex.test(text)) add(name, ENTITY_TYPES.CITY);
+  }
+
+  return [...entities.values()];
+}
+
+module.exports = {
+  ENTITY_TYPES,
+  entityKey,
+  findHtsCodes,
+  extractEntities,
+};
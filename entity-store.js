@@ -0,0 +1,222 @@
+/**
+ * Entities Database
+ *
+ * Maintains a Notion database with one page per extracted entity (competitor,
+ * agency, state, HTS code, port, city) and links signals to those pages via
+ * a relation property. The database is created under ENTITIES_PARENT_PAGE_ID
+ * on first use unless ENTITIES_DATABASE_ID points at an existing one; each
+ * entity page tracks how often and when it was last mentioned.
+ *
+ * Entity page IDs are cached as entities.json in the scanner state directory,
+ * so known entities are read by ID instead of a lookup query. Mention counts
+ * are always incremented from the value on the page.
+ */
+
+const { readState, writeState } = require('./state-store');
+const { ENTITY_TYPES, entityKey } = require('./entity-extractor');
+const { DATABASE_SCHEMAS, propertyConfigs, ensureDatabaseSchema } = require('./notion-schema');
+
+const STATE_NAME = 'entities';
+const DATABASE_TITLE = 'Entities';
+const MAX_RELATIONS = 100;
+
+/**
+ * Load the entity page cache from disk
+ */
+function loadEntityStore() {
+  const stored = readState(STATE_NAME, null);
+  return stored && stored.pages ? stored : { databaseId: null, pages: {} };
+}
+
+/**
+ * Persist the entity page cache to disk
+ */
+function saveEntityStore(store) {
+  return writeState(STATE_NAME, store);
+}
+
+/**
+ * Notion schema for the Entities database
+ */
+function entitiesSchema() {
+  return {
+    label: DATABASE_TITLE,
+    properties: {
+      name: { type: 'title', description: 'Entity name' },
+      type: { type: 'select', description: 'Entity type', options: Object.values(ENTITY_TYPES).map(name => ({ name })) },
+      mention_count: { type: 'number', description: 'Signals mentioning the entity' },
+      first_seen: { type: 'date', description: 'First mention' },
+      last_seen: { type: 'date', description: 'Latest mention' },
+    },
+  };
+}
+
+/**
+ * Find or create the Entities database
+ * @param {object} store - Cache from loadEntityStore()
+ * @param {object} options
+ * @param {object} options.notion - Notion client
+ * @param {function} options.notionRequest - Retry wrapper for Notion calls
+ * @param {string} [options.databaseId] - Existing Entities database (ENTITIES_DATABASE_ID)
+ * @param {string} [options.parentPageId] - Page to create the database under
+ * @returns {Promise<object>} { databaseId, created } - databaseId is null if neither option is set
+ */
+async function ensureEntitiesDatabase(store, { notion, notionRequest, databaseId, parentPageId }) {
+  let resolvedId = databaseId || null;
+  let created = false;
+
+  if (!resolvedId && parentPageId) {
+    resolvedId = store.databaseId;
+
+    // State may have been lost - look for a database created on a previous run
+    if (!resolvedId) {
+      const response = await notionRequest(() => notion.search({
+        query: DATABASE_TITLE,
+        filter: { property: 'object', value: 'database' },
+      }));
+      const normalizedParent = parentPageId.replace(/-/g, '');
+      const existing = response.results.find(db =>
+        (db.parent?.page_id || '').replace(/-/g, '') === normalizedParent &&
+        (db.title || []).map(t => t.plain_text).join('') === DATABASE_TITLE);
+      resolvedId = existing ? existing.id : null;
+    }
+
+    if (!resolvedId) {
+      const database = await notionRequest(() => notion.databases.create({
+        parent: { type: 'page_id', page_id: parentPageId },
+        icon: { type: 'emoji', emoji: '🏷️' },
+        title: [{ type: 'text', text: { content: DATABASE_TITLE } }],
+        properties: propertyConfigs(entitiesSchema()),
+      }));
+      resolvedId = database.id;
+      created = true;
+    }
+  }
+
+  // Add any properties missing from an existing database
+  if (resolvedId && !created) {
+    await ensureDatabaseSchema({ notion, notionRequest }, entitiesSchema(), resolvedId);
+  }
+
+  // Cached page IDs belong to one database
+  if (resolvedId && store.databaseId !== resolvedId) {
+    store.databaseId = resolvedId;
+    store.pages = {};
+  }
+
+  return { databaseId: resolvedId, created };
+}
+
+/**
+ * Make sure the Signals database has an "entities" relation to the Entities
+ * database (found under its aliases, e.g. "Companies")
+ * @param {object} options
+ * @param {object} options.signalsProperties - Signals database properties (databases.retrieve)
+ * @param {object} [options.aliases] - Signals property aliases (PROPERTY_ALIASES_FILE)
+ * @returns {Promise<string>} Relation property name
+ * @throws {Error} If the property exists but is not a relation to the Entities database
+ */
+async function ensureSignalsRelation({ notion, notionRequest, signalsDatabaseId, signalsProperties, entitiesDatabaseId, aliases }) {
+  const signals = DATABASE_SCHEMAS.signals;
+  const schema = {
+    label: signals.label,
+    properties: { entities: { ...signals.properties.entities, databaseId: entitiesDatabaseId, dual: true } },
+  };
+  const { fields } = await ensureDatabaseSchema({ notion, notionRequest }, schema, signalsDatabaseId, {
+    aliases,
+    database: { properties: signalsProperties },
+  });
+  return fields.entities;
+}
+
+/**
+ * Record a mention on an entity page
+ */
+async function touchEntityPage(pageId, mentionCount, date, { notion, notionRequest }) {
+  await notionRequest(() => notion.pages.update({
+    page_id: pageId,
+    properties: {
+      mention_count: { number: mentionCount },
+      last_seen: { date: { start: date } },
+    },
+  }));
+}
+
+/**
+ * Resolve entities to Notion page IDs, creating missing pages and updating
+ * mention counts on existing ones
+ * @param {object} store - Cache from loadEntityStore() (after ensureEntitiesDatabase)
+ * @param {Array} entities - [{ name, type }] from extractEntities()
+ * @param {object} options - { notion, notionRequest }
+ * @returns {Promise<Array>} Page IDs (entities that fail are skipped)
+ */
+async function linkEntities(store, entities, { notion, notionRequest }) {
+  const date = new Date().toISOString().split('T')[0];
+  const pageIds = [];
+
+  for (const entity of entities.slice(0, MAX_RELATIONS)) {
+    const key = entityKey(entity);
+    const cached = store.pages[key];
+
+    if (cached) {
+      try {
+        // Count from the page, not the cache: local state can be older than Notion
+        const page = await notionRequest(() => notion.pages.retrieve({ page_id: cached.id }));
+        if (page.archived) throw new Error('archived');
+        const mentions = (page.properties?.mention_count?.number || 0) + 1;
+        await touchEntityPage(cached.id, mentions, date, { notion, notionRequest });
+        cached.mentions = mentions;
+        pageIds.push(cached.id);
+        continue;
+      } catch {
+        delete store.pages[key]; // Page was deleted or archived in Notion - look it up again
+      }
+    }
+
+    try {
+      const response = await notionRequest(() => notion.databases.query({
+        database_id: store.databaseId,
+        filter: {
+          and: [
+            { property: 'name', title: { equals: entity.name } },
+            { property: 'type', select: { equals: entity.type } },
+          ],
+        },
+        page_size: 1,
+      }));
+
+      let page = response.results[0];
+      let mentions = 1;
+      if (page) {
+        mentions = (page.properties?.mention_count?.number || 0) + 1;
+        await touchEntityPage(page.id, mentions, date, { notion, notionRequest });
+      } else {
+        page = await notionRequest(() => notion.pages.create({
+          parent: { database_id: store.databaseId },
+          properties: {
+            name: { title: [{ text: { content: entity.name.substring(0, 100) } }] },
+            type: { select: { name: entity.type } },
+            mention_count: { number: 1 },
+            first_seen: { date: { start: date } },
+            last_seen: { date: { start: date } },
+          },
+        }));
+      }
+
+      store.pages[key] = { id: page.id, mentions };
+      pageIds.push(page.id);
+    } catch (error) {
+      console.error(`  Warning: Could not link entity "${entity.name}": ${error.message}`);
+    }
+  }
+
+  return pageIds;
+}
+
+module.exports = {
+  loadEntityStore,
+  saveEntityStore,
+  ensureEntitiesDatabase,
+  ensureSignalsRelation,
+  linkEntities,
+};
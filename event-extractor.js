@@ -0,0 +1,268 @@
+/**
+ * Trade-Show Event Extraction
+ *
+ * Pulls the event name, date range, location and registration / booth
+ * deadlines out of trade-show articles (MJBizCon, Champs, Canton Fair, TPE,
+ * Spannabis, ...) so the scanner can keep an Events database up to date.
+ *
+ * Known events are recognised by alias and carry their usual host city as a
+ * default location; other trade_shows keywords are used as the event name
+ * as-is. Dates without a year are placed in the next occurrence after the
+ * article's publication date. Only dates close to a mention of the event are
+ * used, so a publication date elsewhere in the text is not taken for the show
+ * dates. Events are identified by name and year (eventKey), since most shows
+ * run annually.
+ */
+
+const { matchKeyword } = require('./keyword-matcher');
+
+// Canonical event name -> aliases (lowercase) and usual host city
+const KNOWN_EVENTS = {
+  'MJBizCon': { aliases: ['mjbizcon', 'mjbiz con', 'mjbizdaily conference'], location: 'Las Vegas, NV' },
+  'Champs Trade Show': { aliases: ['champs trade show', 'champs expo', 'champs show'], location: 'Las Vegas, NV' },
+  'Total Product Expo (TPE)': { aliases: ['tpe total product expo', 'total product expo', 'tobacco plus expo', 'tpe'], location: 'Las Vegas, NV' },
+  'Canton Fair': { aliases: ['canton fair', 'china import and export fair'], location: 'Guangzhou, China' },
+  'Spannabis': { aliases: ['spannabis'], location: 'Barcelona, Spain' },
+  'Hall of Flowers': { aliases: ['hall of flowers'], location: null },
+  'NECANN': { aliases: ['necann'], location: null },
+  'Emerald Cup': { aliases: ['emerald cup'], location: 'Santa Rosa, CA' },
+  'Indo Expo': { aliases: ['indo expo'], location: 'Denver, CO' },
+  'Lift Expo': { aliases: ['lift expo', 'lift & co'], location: 'Toronto, Canada' },
+};
+
+// trade_shows keywords too generic to be an event name on their own
+const GENERIC_EVENT_KEYWORDS = ['cannabis conference', 'cannabis cup', 'vape expo', 'smoke shop expo'];
+
+const MONTHS = {
+  jan: 0, feb: 1, mar: 2, apr: 3, may: 4, jun: 5, jul: 6, aug: 7, sep: 8, sept: 8, oct: 9, nov: 10, dec: 11,
+};
+
+const MONTH = '(Jan(?:uary)?|Feb(?:ruary)?|Mar(?:ch)?|Apr(?:il)?|May|June?|July?|Aug(?:ust)?|Sept?(?:ember)?|Oct(?:ober)?|Nov(?:ember)?|Dec(?:ember)?)\\.?';
+const DAY = '(\\d{1,2})(?:st|nd|rd|th)?';
+const YEAR = '(?:,?\\s*(\\d{4}))?';
+const DASH = '\\s*(?:-|–|—|to|through|thru)\\s*';
+
+// "December 3-5, 2025" / "Nov. 30 - Dec. 2, 2025" / "3-5 December 2025" / "March 14, 2026"
+const DATE_PATTERNS = [
+  { regex: new RegExp(`\\b${MONTH}\\s+${DAY}${DASH}${MONTH}\\s+${DAY}${YEAR}`, 'gi'), parts: m => [m[1], m[2], m[3], m[4], m[5]] },
+  { regex: new RegExp(`\\b${MONTH}\\s+${DAY}${DASH}${DAY}${YEAR}`, 'gi'), parts: m => [m[1], m[2], m[1], m[3], m[4]] },
+  { regex: new RegExp(`\\b${DAY}${DASH}${DAY}\\s+${MONTH}${YEAR}`, 'gi'), parts: m => [m[3], m[1], m[3], m[2], m[4]] },
+  { regex: new RegExp(`\\b${MONTH}\\s+${DAY}${YEAR}\\b`, 'gi'), parts: m => [m[1], m[2], m[1], m[2], m[3]] },
+];
+
+const VENUE_PATTERN = /\b(?:at|in)\s+the\s+((?:[A-Z][\w'&.]*\s+){1,5}(?:Convention Center|Convention Centre|Expo Center|Exhibition Center|Exhibition Complex|Fairgrounds|Fira|Center|Centre))/;
+const CITY_PATTERN = /\bin\s+([A-Z][a-z]+(?:\s+[A-Z][a-z]+){0,2}),\s+([A-Z]{2}\b|[A-Z][a-z]+(?:\s+[A-Z][a-z]+)?)/;
+
+// How far (in characters) a date may be from the event mention to belong to it
+const MAX_DATE_DISTANCE = 200;
+
+const DEADLINE_PATTERN = /\b(deadline|register by|registration (?:closes|ends)|apply by|early[- ]bird)\b/i;
+
+// Sentence ends: ".", "!" or "?" followed by whitespace (so "7.5" and
+// "4813.20" do not end a sentence) and line breaks
+const SENTENCE_END = /[.!?](?=\s|$)|\n/g;
+const MONTH_ABBREVIATION = /\b(?:Jan|Feb|Mar|Apr|Jun|Jul|Aug|Sept?|Oct|Nov|Dec)$/i;
+
+/**
+ * Split text into sentences; a month abbreviation ("Nov. 1") does not end one
+ * @returns {Array} [{ text, start, end }]
+ */
+function splitSentences(text) {
+  const sentences = [];
+  let start = 0;
+  for (const match of text.matchAll(SENTENCE_END)) {
+    if (match[0] === '.' && MONTH_ABBREVIATION.test(text.substring(start, match.index))) continue;
+    const end = match.index + 1;
+    sentences.push({ text: text.substring(start, end), start, end });
+    start = end;
+  }
+  if (start < text.length) sentences.push({ text: text.substring(start), start, end: text.length });
+  return sentences;
+}
+
+/**
+ * Sentences that announce a deadline
+ */
+function deadlineSentences(text) {
+  return splitSentences(text).filter(sentence => DEADLINE_PATTERN.test(sentence.text));
+}
+
+/**
+ * Build a UTC date (YYYY-MM-DD) or null if the day is invalid
+ */
+function isoDate(year, month, day) {
+  const date = new Date(Date.UTC(year, month, day));
+  if (date.getUTCMonth() !== month || date.getUTCDate() !== day) return null;
+  return date.toISOString().split('T')[0];
+}
+
+/**
+ * Resolve a month name to its index
+ */
+function monthIndex(name) {
+  return MONTHS[name.toLowerCase().replace('.', '').substring(0, name.toLowerCase().startsWith('sept') ? 4 : 3)];
+}
+
+/**
+ * Find date ranges in text
+ * @param {string} text - Text to search
+ * @param {Date} [reference] - Publication date used to infer missing years
+ * @returns {Array} [{ start, end, index }] ISO dates in text order
+ */
+function findDateRanges(text, reference = new Date()) {
+  const ranges = [];
+  const taken = [];
+
+  for (const { regex, parts } of DATE_PATTERNS) {
+    for (const match of text.matchAll(regex)) {
+      const from = match.index;
+      const to = match.index + match[0].length;
+      if (taken.some(([a, b]) => from < b && to > a)) continue; // Already covered by a longer pattern
+
+      const [startMonthName, startDay, endMonthName, endDay, yearText] = parts(match);
+      const startMonth = monthIndex(startMonthName);
+      const endMonth = monthIndex(endMonthName);
+
+      let year = yearText ? parseInt(yearText, 10) : reference.getUTCFullYear();
+      // No year given: a month well before the article date means next year's edition
+      if (!yearText && startMonth < reference.getUTCMonth() - 1) year++;
+      const startYear = endMonth < startMonth ? year - (yearText ? 1 : 0) : year;
+      const endYear = endMonth < startMonth && !yearText ? year + 1 : year;
+
+      const start = isoDate(startYear, startMonth, parseInt(startDay, 10));
+      const end = isoDate(endYear, endMonth, parseInt(endDay, 10));
+      if (!start || !end || end < start) continue;
+
+      ranges.push({ start, end, index: from });
+      taken.push([from, to]);
+    }
+  }
+
+  return ranges.sort((a, b) => a.index - b.index);
+}
+
+/**
+ * Find the event mentioned in text
+ * @returns {object|null} { name, location, index, mentions (positions of every mention) }
+ */
+function findEventName(text, eventKeywords = []) {
+  const lower = text.toLowerCase();
+  let best = null;
+
+  for (const [name, event] of Object.entries(KNOWN_EVENTS)) {
+    const mentions = event.aliases.flatMap(alias =>
+      [...lower.matchAll(new RegExp(`\\b${alias.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}\\b`, 'g'))].map(m => m.index));
+    if (mentions.length === 0) continue;
+    const index = Math.min(...mentions);
+    if (!best || index < best.index) {
+      best = { name, location: event.location, index, mentions: [...new Set(mentions)].sort((a, b) => a - b) };
+    }
+  }
+  if (best) return best;
+
+  for (const compiled of eventKeywords) {
+    if (GENERIC_EVENT_KEYWORDS.includes(compiled.keyword.toLowerCase())) continue;
+    const match = matchKeyword(compiled, text);
+    if (match) {
+      const name = compiled.keyword.replace(/\b[a-z]/g, letter => letter.toUpperCase());
+      const index = match.span ? match.span.start : 0;
+      return { name, location: null, index, mentions: [index] };
+    }
+  }
+  return null;
+}
+
+/**
+ * Find the event location (venue and/or city)
+ */
+function findLocation(text, defaultLocation) {
+  const venue = text.match(VENUE_PATTERN);
+  const city = text.match(CITY_PATTERN);
+  const cityText = city ? `${city[1]}, ${city[2]}` : defaultLocation;
+
+  if (venue && cityText) return `${venue[1].trim()}, ${cityText}`;
+  if (venue) return venue[1].trim();
+  return cityText || null;
+}
+
+/**
+ * Find registration / booth deadlines
+ * @returns {Array} [{ label, date }]
+ */
+function findDeadlines(text, reference) {
+  const deadlines = [];
+  for (const { text: sentence } of deadlineSentences(text)) {
+    const [range] = findDateRanges(sentence, reference);
+    if (!range) continue;
+
+    const label = /booth|exhibit|sponsor/i.test(sentence) ? 'Booth deadline'
+      : /early[- ]bird/i.test(sentence) ? 'Early-bird deadline'
+      : 'Registration deadline';
+    if (!deadlines.some(d => d.label === label && d.date === range.start)) {
+      deadlines.push({ label, date: range.start });
+    }
+  }
+  return deadlines;
+}
+
+/**
+ * Stable identifier for an event edition ("mjbizcon-2025")
+ */
+function eventKey(event) {
+  const slug = event.name.toLowerCase().replace(/\(.*?\)/g, '').replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+  return `${slug}-${event.year}`;
+}
+
+/**
+ * Extract a trade-show event from article text
+ * @param {string} text - Article title and body
+ * @param {object} [options]
+ * @param {Array} [options.eventKeywords] - Compiled trade_shows keywords
+ * @param {Date} [options.pubDate] - Article publication date (to infer years)
+ * @returns {object|null} { key, name, year, startDate, endDate, location, deadlines }
+ *   or null if no event with a date near its mention was found
+ */
+function extractEvent(text, options = {}) {
+  if (!text) return null;
+  const reference = options.pubDate instanceof Date && !isNaN(options.pubDate) ? options.pubDate : new Date();
+
+  const found = findEventName(text, options.eventKeywords);
+  if (!found) return null;
+
+  // Prefer a date range shortly after a mention of the event, then one shortly
+  // before; dates further away (publication dates, other events) are ignored
+  const deadlineSpans = deadlineSentences(text);
+  const ranges = findDateRanges(text, reference)
+    .filter(range => !deadlineSpans.some(span => range.index >= span.start && range.index < span.end));
+  const after = mention => ranges.find(r => r.index >= mention && r.index - mention <= MAX_DATE_DISTANCE);
+  const before = mention => ranges.filter(r => r.index < mention && mention - r.index <= MAX_DATE_DISTANCE).pop();
+  const range = found.mentions.map(after).find(Boolean) || found.mentions.map(before).find(Boolean);
+  if (!range) return null;
+
+  const event = {
+    name: found.name,
+    year: parseInt(range.start.substring(0, 4), 10),
+    startDate: range.start,
+    endDate: range.end,
+    location: findLocation(text, found.location),
+    deadlines: findDeadlines(text, reference),
+  };
+  event.key = eventKey(event);
+  return event;
+}
+
+/**
+ * Format an event for display ("MJBizCon 2025: 2025-12-02 to 2025-12-05, Las Vegas, NV")
+ */
+function formatEvent(event) {
+  const dates = event.startDate === event.endDate ? event.startDate : `${event.startDate} to ${event.endDate}`;
+  return `${event.name} ${event.year}: ${dates}${event.location ? `, ${event.location}` : ''}`;
+}
+
+module.exports = {
+  KNOWN_EVENTS,
+  findDateRanges,
+  eventKey,
+  extractEvent,
+  formatEvent,
+};
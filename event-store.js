@@ -0,0 +1,112 @@
+/**
+ * Events Database
+ *
+ * Upserts trade-show events extracted by event-extractor.js into a Notion
+ * Events database (EVENTS_DATABASE_ID), one page per event edition keyed by
+ * name and year. Each page links back to the signals that mentioned it, so the
+ * trade-show planning calendar fills itself.
+ *
+ * Existing pages keep dates and locations entered by hand; the scanner only
+ * fills empty fields, adds new deadlines and appends signal links.
+ */
+
+const { readText, relationIds } = require('./notion-client');
+const { ensureDatabaseSchema } = require('./notion-schema');
+
+const EVENTS_SCHEMA = {
+  label: 'Events',
+  properties: {
+    name: { type: 'title', description: 'Event name' },
+    event_key: { type: 'rich_text', description: 'Normalized name and year' },
+    year: { type: 'number', description: 'Edition year' },
+    dates: { type: 'date', description: 'Event dates' },
+    location: { type: 'rich_text', description: 'Venue or city' },
+    deadlines: { type: 'rich_text', description: 'Registration deadlines, one per line' },
+    signals: { type: 'relation', description: 'Signals that mentioned the event' },
+  },
+};
+
+const MAX_TEXT_LENGTH = 2000;
+
+/**
+ * Format deadlines for the deadlines property (one per line)
+ */
+function formatDeadlines(deadlines) {
+  return deadlines.map(d => `${d.label}: ${d.date}`).join('\n');
+}
+
+/**
+ * Add any properties missing from the Events database, including the
+ * "signals" relation to the Signals database
+ * @returns {Promise<Array>} Names of the properties added
+ */
+async function ensureEventsSchema({ notion, notionRequest, databaseId, signalsDatabaseId }) {
+  const schema = {
+    ...EVENTS_SCHEMA,
+    properties: { ...EVENTS_SCHEMA.properties, signals: { ...EVENTS_SCHEMA.properties.signals, databaseId: signalsDatabaseId } },
+  };
+  const { added } = await ensureDatabaseSchema({ notion, notionRequest }, schema, databaseId);
+  return added;
+}
+
+/**
+ * Create or update the page for an event edition
+ * @param {object} event - From extractEvent()
+ * @param {string|null} signalPageId - Signal page to link (null in dry runs)
+ * @param {object} options - { notion, notionRequest, databaseId }
+ * @returns {Promise<object>} { pageId, created }
+ */
+async function upsertEvent(event, signalPageId, { notion, notionRequest, databaseId }) {
+  const response = await notionRequest(() => notion.databases.query({
+    database_id: databaseId,
+    filter: { property: 'event_key', rich_text: { equals: event.key } },
+    page_size: 1,
+  }));
+  const page = response.results[0];
+  const text = (content) => ({ rich_text: [{ text: { content: content.substring(0, MAX_TEXT_LENGTH) } }] });
+  const dates = { date: { start: event.startDate, end: event.endDate !== event.startDate ? event.endDate : null } };
+
+  if (!page) {
+    const created = await notionRequest(() => notion.pages.create({
+      parent: { database_id: databaseId },
+      icon: { type: 'emoji', emoji: '🎪' },
+      properties: {
+        name: { title: [{ text: { content: `${event.name} ${event.year}` } }] },
+        event_key: text(event.key),
+        year: { number: event.year },
+        dates,
+        ...(event.location ? { location: text(event.location) } : {}),
+        ...(event.deadlines.length > 0 ? { deadlines: text(formatDeadlines(event.deadlines)) } : {}),
+        ...(signalPageId ? { signals: { relation: [{ id: signalPageId }] } } : {}),
+      },
+    }));
+    return { pageId: created.id, created: true };
+  }
+
+  const props = page.properties || {};
+  const updates = {};
+
+  if (!props.dates?.date?.start) updates.dates = dates;
+  if (event.location && !readText(props.location)) updates.location = text(event.location);
+
+  const knownDeadlines = readText(props.deadlines);
+  const newDeadlines = event.deadlines.filter(d => !knownDeadlines.includes(`${d.label}: ${d.date}`));
+  if (newDeadlines.length > 0) {
+    updates.deadlines = text([knownDeadlines, formatDeadlines(newDeadlines)].filter(Boolean).join('\n'));
+  }
+
+  const linked = signalPageId ? await relationIds(page, 'signals', { notion, notionRequest }) : [];
+  if (signalPageId && !linked.includes(signalPageId)) {
+    updates.signals = { relation: [...linked, signalPageId].map(id => ({ id })) };
+  }
+
+  if (Object.keys(updates).length > 0) {
+    await notionRequest(() => notion.pages.update({ page_id: page.id, properties: updates }));
+  }
+  return { pageId: page.id, created: false };
+}
+
+module.exports = {
+  ensureEventsSchema,
+  upsertEvent,
+};
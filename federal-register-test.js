@@ -0,0 +1,149 @@
+#!/usr/bin/env node
+/**
+ * Federal Register Adapter Test
+ *
+ * Serves the document listing in fixtures/federal-register-documents.json from
+ * a local HTTP stand-in for the Federal Register API (filtered by agency and
+ * publication date, newest first, a few documents per page) and checks that
+ * federal-register.js follows the pages, filters by agency and keyword, and
+ * fills in the docket number, document type, comment deadline and effective
+ * date. No network access or Notion token is needed.
+ *
+ * Usage:
+ *   node federal-register-test.js   # Exits 1 if a check fails
+ */
+
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+const { DEFAULT_AGENCIES, fetchDocuments, toArticle, matchesKeywords, parseAgencyList } = require('./federal-register');
+const { compileKeyword } = require('./keyword-matcher');
+
+const FIXTURE_FILE = path.join(__dirname, 'fixtures', 'federal-register-documents.json');
+const PAGE_SIZE = 2;
+const SINCE = '2025-10-01';
+
+// A few of the scanner's regulations/tariffs keywords
+const KEYWORDS = ['pmta', 'section 301', 'tariff exclusion'].map(compileKeyword);
+
+/**
+ * Start the fixture server on a free local port
+ * @returns {Promise<object>} { server, baseUrl, requests (listing URLs received) }
+ */
+function startServer(documents) {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    const url = new URL(req.url, 'http://127.0.0.1');
+    if (url.pathname !== '/api/v1/documents.json') {
+      res.writeHead(404, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ errors: { request: 'not found' } }));
+      return;
+    }
+    requests.push(url);
+
+    const agencies = url.searchParams.getAll('conditions[agencies][]');
+    const since = url.searchParams.get('conditions[publication_date][gte]') || '';
+    const matching = documents.filter(doc =>
+      doc.publication_date >= since &&
+      (agencies.length === 0 || (doc.agencies || []).some(agency => agencies.includes(agency.slug))));
+    if (url.searchParams.get('order') === 'newest') {
+      matching.sort((a, b) => b.publication_date.localeCompare(a.publication_date));
+    }
+
+    const page = parseInt(url.searchParams.get('page') || '1', 10);
+    const totalPages = Math.max(1, Math.ceil(matching.length / PAGE_SIZE));
+    let nextPageUrl = null;
+    if (page < totalPages) {
+      const next = new URL(url);
+      next.searchParams.set('page', String(page + 1));
+      nextPageUrl = `http://127.0.0.1:${server.address().port}${next.pathname}${next.search}`;
+    }
+
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({
+      count: matching.length,
+      total_pages: totalPages,
+      next_page_url: nextPageUrl,
+      results: matching.slice((page - 1) * PAGE_SIZE, page * PAGE_SIZE),
+    }));
+  });
+
+  return new Promise(resolve => {
+    server.listen(0, '127.0.0.1', () => {
+      resolve({ server, baseUrl: `http://127.0.0.1:${server.address().port}/api/v1`, requests });
+    });
+  });
+}
+
+async function main() {
+  const { results: documents } = JSON.parse(fs.readFileSync(FIXTURE_FILE, 'utf8'));
+  const { server, baseUrl, requests } = await startServer(documents);
+  console.log(`Fixture server: ${baseUrl} (${documents.length} documents, ${PAGE_SIZE} per page)`);
+
+  let checks = 0;
+  let failed = 0;
+  const check = (description, actual, expected) => {
+    checks++;
+    if (JSON.stringify(actual) === JSON.stringify(expected)) {
+      console.log(`  ok: ${description}`);
+    } else {
+      failed++;
+      console.error(`  FAIL: ${description} - got ${JSON.stringify(actual)}, expected ${JSON.stringify(expected)}`);
+    }
+  };
+
+  try {
+    // Pagination and agency filtering (default agencies)
+    const fetched = await fetchDocuments({ baseUrl, since: SINCE });
+    check('follows next_page_url to the last page', requests.length, 3);
+    check('returns the documents of every page', fetched.map(doc => doc.document_number),
+      ['2025-21001', '2025-20877', '2025-20650', '2025-20412', '2025-20301']);
+    check('requests the tracked agencies', requests[0].searchParams.getAll('conditions[agencies][]'), DEFAULT_AGENCIES);
+    check('requests documents published since the cutoff', requests[0].searchParams.get('conditions[publication_date][gte]'), SINCE);
+    check('requests the regulatory fields',
+      ['docket_ids', 'type', 'comments_close_on', 'effective_on'].every(field => requests[0].searchParams.getAll('fields[]').includes(field)), true);
+
+    requests.length = 0;
+    const limited = await fetchDocuments({ baseUrl, since: SINCE, maxPages: 2 });
+    check('stops after maxPages', [requests.length, limited.length], [2, 4]);
+
+    requests.length = 0;
+    const agencies = parseAgencyList(' U-S-Customs-and-Border-Protection, environmental-protection-agency ');
+    const byAgency = await fetchDocuments({ baseUrl, since: SINCE, agencies });
+    check('parses the agency list', agencies, ['u-s-customs-and-border-protection', 'environmental-protection-agency']);
+    check('filters by agency', byAgency.map(doc => doc.document_number), ['2025-20955', '2025-20877']);
+
+    // Articles and keyword filtering
+    const articles = fetched.map(toArticle).filter(Boolean);
+    check('skips documents without a URL', articles.length, 4);
+    check('keeps documents matching a keyword', articles.filter(article => matchesKeywords(article, KEYWORDS)).map(article => article.regulatory.documentNumber),
+      ['2025-21001', '2025-20877', '2025-20650']);
+
+    // Regulatory fields
+    const [proposed, rule, notice] = articles;
+    check('proposed rule fields', proposed.regulatory, {
+      documentNumber: '2025-21001',
+      docketNumber: 'FDA-2025-N-1234',
+      documentType: 'Proposed Rule',
+      publicationDate: '2025-10-14',
+      commentDeadline: '2025-12-15',
+      effectiveDate: null,
+      agencies: ['Food and Drug Administration', 'Health and Human Services Department'],
+    });
+    check('rule with several dockets', [rule.regulatory.docketNumber, rule.regulatory.documentType, rule.regulatory.effectiveDate, rule.regulatory.commentDeadline],
+      ['USTR-2025-0002, CBP-2025-0007', 'Rule', '2025-11-01', null]);
+    check('notice without a docket', [notice.regulatory.docketNumber, notice.regulatory.documentType, notice.regulatory.agencies],
+      [null, 'Notice', ['OFFICE OF THE UNITED STATES TRADE REPRESENTATIVE']]);
+    check('publication date becomes pubDate', proposed.pubDate.toISOString(), '2025-10-14T00:00:00.000Z');
+  } catch (error) {
+    failed++;
+    console.error(`  FAIL: ${error.message}`);
+  } finally {
+    server.close();
+  }
+
+  console.log(`${checks} checks, ${failed} failed`);
+  process.exit(failed > 0 ? 1 : 0);
+}
+
+main();
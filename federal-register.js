@@ -0,0 +1,169 @@
+/**
+ * Federal Register Source
+ *
+ * Adapter for Federal Register-style JSON document listings
+ * (https://www.federalregister.gov/developers/documentation/api/v1). Fetches
+ * documents published by the agencies we track and turns them into scanner
+ * articles that carry structured regulatory fields: docket number, document
+ * type, publication date, comment deadline and effective date.
+ *
+ * The API base URL is configurable so the adapter can be pointed at a mirror
+ * or a local fixture server serving the same JSON shape:
+ *
+ *   FEDERAL_REGISTER_API_URL=http://localhost:8080/api/v1 node scanner.js --dry-run
+ *
+ * federal-register-test.js checks the adapter against such a server, using
+ * the listing in fixtures/federal-register-documents.json.
+ */
+
+const { matchKeyword } = require('./keyword-matcher');
+
+const DEFAULT_BASE_URL = 'https://www.federalregister.gov/api/v1';
+const FETCH_TIMEOUT_MS = 15000;
+const PER_PAGE = 100;
+const MAX_PAGES = 5;
+
+// Federal Register agency slugs (FDA covers the Center for Tobacco Products)
+const DEFAULT_AGENCIES = [
+  'food-and-drug-administration',
+  'u-s-customs-and-border-protection',
+  'trade-representative-office-of-united-states',
+  'drug-enforcement-administration',
+];
+
+const FIELDS = [
+  'title', 'abstract', 'document_number', 'type', 'publication_date', 'comments_close_on',
+  'effective_on', 'docket_ids', 'html_url', 'agencies', 'action',
+];
+
+/**
+ * Build the documents listing URL for the first page
+ * @param {object} options
+ * @param {string} [options.baseUrl] - API base URL (default: federalregister.gov)
+ * @param {Array} [options.agencies] - Agency slugs
+ * @param {string} options.since - Earliest publication date (YYYY-MM-DD)
+ */
+function buildDocumentsUrl({ baseUrl = DEFAULT_BASE_URL, agencies = DEFAULT_AGENCIES, since }) {
+  const params = new URLSearchParams();
+  for (const agency of agencies) params.append('conditions[agencies][]', agency);
+  params.append('conditions[publication_date][gte]', since);
+  for (const field of FIELDS) params.append('fields[]', field);
+  params.append('order', 'newest');
+  params.append('per_page', String(PER_PAGE));
+  return `${baseUrl.replace(/\/$/, '')}/documents.json?${params.toString()}`;
+}
+
+/**
+ * Fetch a JSON page with a timeout
+ */
+async function fetchJson(url, { timeout = FETCH_TIMEOUT_MS, userAgent } = {}) {
+  const controller = new AbortController();
+  const timeoutId = setTimeout(() => controller.abort(), timeout);
+
+  try {
+    const response = await fetch(url, {
+      headers: {
+        'User-Agent': userAgent || 'Mozilla/5.0 (compatible; NotionIntelScanner/1.0)',
+        'Accept': 'application/json',
+      },
+      signal: controller.signal,
+    });
+    if (!response.ok) {
+      throw new Error(`Federal Register returned status ${response.status}`);
+    }
+    return await response.json();
+  } catch (error) {
+    if (error.name === 'AbortError') {
+      throw new Error(`Request timed out after ${timeout}ms`);
+    }
+    throw error;
+  } finally {
+    clearTimeout(timeoutId);
+  }
+}
+
+/**
+ * Fetch all documents published since a date (follows next_page_url)
+ * @param {object} options - buildDocumentsUrl() options plus { maxPages, timeout, userAgent }
+ * @returns {Promise<Array>} Raw document objects
+ */
+async function fetchDocuments(options) {
+  const documents = [];
+  let url = buildDocumentsUrl(options);
+  const maxPages = options.maxPages || MAX_PAGES;
+
+  for (let page = 0; url && page < maxPages; page++) {
+    const data = await fetchJson(url, options);
+    documents.push(...(data.results || []));
+    url = data.next_page_url || null;
+  }
+
+  return documents;
+}
+
+/**
+ * Parse a YYYY-MM-DD date, or null
+ */
+function parseDate(value) {
+  if (!value || !/^\d{4}-\d{2}-\d{2}/.test(value)) return null;
+  const date = new Date(`${value.substring(0, 10)}T00:00:00Z`);
+  return isNaN(date) ? null : date;
+}
+
+/**
+ * Convert a Federal Register document into a scanner article
+ * @returns {object|null} Article with a `regulatory` object, or null if unusable
+ */
+function toArticle(doc) {
+  if (!doc || !doc.title || !doc.html_url) return null;
+
+  const agencies = (doc.agencies || []).map(agency => agency.name || agency.raw_name).filter(Boolean);
+  const docketIds = (doc.docket_ids || []).filter(Boolean);
+
+  return {
+    title: doc.title,
+    link: doc.html_url,
+    content: [doc.action, doc.abstract].filter(Boolean).join('. ').substring(0, 2000),
+    source: 'Federal Register',
+    category: 'federal_register',
+    pubDate: parseDate(doc.publication_date) || new Date(),
+    regulatory: {
+      documentNumber: doc.document_number || null,
+      docketNumber: docketIds.join(', ') || null,
+      documentType: doc.type || null,
+      publicationDate: doc.publication_date || null,
+      commentDeadline: doc.comments_close_on || null,
+      effectiveDate: doc.effective_on || null,
+      agencies,
+    },
+  };
+}
+
+/**
+ * Whether an article's title or summary matches any of the keywords
+ * @param {object} article - From toArticle()
+ * @param {Array} keywords - Compiled keywords (see keyword-matcher.js)
+ */
+function matchesKeywords(article, keywords) {
+  const text = `${article.title} ${article.content}`;
+  return keywords.some(compiled => matchKeyword(compiled, text));
+}
+
+/**
+ * Parse a comma-separated agency slug list (e.g. from an environment variable)
+ */
+function parseAgencyList(value) {
+  if (!value) return DEFAULT_AGENCIES;
+  const agencies = value.split(',').map(slug => slug.trim().toLowerCase()).filter(slug => slug.length > 0);
+  return agencies.length > 0 ? agencies : DEFAULT_AGENCIES;
+}
+
+module.exports = {
+  DEFAULT_BASE_URL,
+  DEFAULT_AGENCIES,
+  buildDocumentsUrl,
+  fetchDocuments,
+  toArticle,
+  matchesKeywords,
+  parseAgencyList,
+};
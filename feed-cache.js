@@ -0,0 +1,139 @@
+/**
+ * Per-Feed HTTP Cache
+ *
+ * Persists ETag / Last-Modified validators and the most recent item GUIDs for
+ * each RSS feed, so the scanner can send conditional GETs (publishers answer
+ * 304 Not Modified when nothing changed) and skip items it has already
+ * processed when a feed does change. Each feed also has a watermark - the
+ * newest item pubDate processed - so a run after a missed day picks up
+ * everything published since the last successful run.
+ *
+ * Stored as feed-cache.json in the scanner state directory. The cache should
+ * only be saved after a successful, non-dry run, and a feed's state only
+ * recorded once its items have been processed: GUIDs of items whose signal
+ * failed are left out, and so are the validators of a feed with failures,
+ * so the next run fetches those items again instead of getting a 304.
+ */
+
+const { readState, writeState } = require('./state-store');
+
+const STATE_NAME = 'feed-cache';
+const MAX_GUIDS_PER_FEED = 200;
+
+/**
+ * Load the feed cache from disk
+ * @param {object} [options]
+ * @param {boolean} [options.reset] - Start with an empty cache (forces full fetches)
+ */
+function loadFeedCache(options = {}) {
+  if (options.reset) return { feeds: {} };
+  const stored = readState(STATE_NAME, null);
+  return stored && stored.feeds ? stored : { feeds: {} };
+}
+
+/**
+ * Persist the feed cache to disk
+ */
+function saveFeedCache(cache) {
+  return writeState(STATE_NAME, cache);
+}
+
+/**
+ * Build conditional request headers for a feed
+ */
+function conditionalHeaders(cache, url) {
+  const entry = cache.feeds[url];
+  const headers = {};
+  if (entry?.etag) headers['If-None-Match'] = entry.etag;
+  if (entry?.lastModified) headers['If-Modified-Since'] = entry.lastModified;
+  return headers;
+}
+
+/**
+ * Stable identifier for a feed item
+ */
+function itemGuid(item) {
+  const guid = item.guid || item.id || item.link || `${item.title || ''}|${item.pubDate || item.isoDate || ''}`;
+  return typeof guid === 'string' ? guid : JSON.stringify(guid);
+}
+
+/**
+ * Split feed items into those not seen in previous runs and the count skipped
+ * @returns {object} { items, cachedCount }
+ */
+function filterNewItems(cache, url, items) {
+  const known = new Set(cache.feeds[url]?.guids || []);
+  const fresh = items.filter(item => !known.has(itemGuid(item)));
+  return { items: fresh, cachedCount: items.length - fresh.length };
+}
+
+/**
+ * Validators of a 200 response, to be recorded once its items are processed
+ * @param {Headers} headers - Response headers
+ * @returns {object} { etag, lastModified }
+ */
+function responseValidators(headers) {
+  return { etag: headers.get('etag') || null, lastModified: headers.get('last-modified') || null };
+}
+
+/**
+ * Record a processed 200 response: store validators and remember item GUIDs
+ * @param {object} cache - Feed cache
+ * @param {string} url - Feed URL
+ * @param {object|null} validators - From responseValidators(), or null to send
+ *   an unconditional request next time
+ * @param {Array} guids - GUIDs (itemGuid) of the items processed
+ */
+function recordFetch(cache, url, validators, guids) {
+  const previous = cache.feeds[url]?.guids || [];
+
+  cache.feeds[url] = {
+    etag: validators?.etag || null,
+    lastModified: validators?.lastModified || null,
+    guids: [...new Set([...guids, ...previous])].slice(0, MAX_GUIDS_PER_FEED),
+    watermark: cache.feeds[url]?.watermark || null,
+    fetchedAt: new Date().toISOString(),
+  };
+}
+
+/**
+ * Record a 304 response (validators unchanged)
+ */
+function recordNotModified(cache, url) {
+  if (cache.feeds[url]) {
+    cache.feeds[url].checkedAt = new Date().toISOString();
+  }
+}
+
+/**
+ * Get a feed's watermark (newest processed item date)
+ * @returns {Date|null}
+ */
+function getWatermark(cache, url) {
+  const watermark = cache.feeds[url]?.watermark;
+  return watermark ? new Date(watermark) : null;
+}
+
+/**
+ * Advance a feed's watermark (never moves backwards)
+ */
+function advanceWatermark(cache, url, date) {
+  if (!(date instanceof Date) || isNaN(date)) return;
+  const current = getWatermark(cache, url);
+  if (current && current >= date) return;
+  cache.feeds[url] = cache.feeds[url] || { etag: null, lastModified: null, guids: [] };
+  cache.feeds[url].watermark = date.toISOString();
+}
+
+module.exports = {
+  loadFeedCache,
+  saveFeedCache,
+  conditionalHeaders,
+  itemGuid,
+  filterNewItems,
+  responseValidators,
+  recordFetch,
+  recordNotModified,
+  getWatermark,
+  advanceWatermark,
+};
@@ -0,0 +1,205 @@
+/**
+ * Feed Health Tracking
+ *
+ * Keeps a per-feed health record across runs (last success, consecutive
+ * failures, average item count, last error). After FEED_QUARANTINE_AFTER
+ * consecutive failures a feed is quarantined: it is skipped on normal runs
+ * and only probed every FEED_QUARANTINE_RETRY_DAYS, so a dead URL stops
+ * costing a timeout per run but recovers automatically once fixed.
+ *
+ * Stored as feed-health.json in the scanner state directory.
+ */
+
+const { readState, writeState } = require('./state-store');
+
+const STATE_NAME = 'feed-health';
+const QUARANTINE_AFTER = parseInt(process.env.FEED_QUARANTINE_AFTER, 10) || 5;
+const QUARANTINE_RETRY_DAYS = parseInt(process.env.FEED_QUARANTINE_RETRY_DAYS, 10) || 7;
+
+// Smoothing for the average item count (0.3 = 30% new, 70% historical)
+const ITEM_COUNT_ALPHA = 0.3;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Load feed health records from disk
+ */
+function loadFeedHealth() {
+  const stored = readState(STATE_NAME, null);
+  return stored && stored.feeds ? stored : { feeds: {} };
+}
+
+/**
+ * Persist feed health records to disk
+ */
+function saveFeedHealth(health) {
+  return writeState(STATE_NAME, health);
+}
+
+/**
+ * Get (or create) the record for a feed, keyed by URL
+ */
+function getRecord(health, feed) {
+  if (!health.feeds[feed.url]) {
+    health.feeds[feed.url] = {
+      name: feed.name,
+      lastSuccess: null,
+      lastAttempt: null,
+      consecutiveFailures: 0,
+      avgItemCount: null,
+      lastError: null,
+      quarantinedAt: null,
+    };
+  }
+  const record = health.feeds[feed.url];
+  record.name = feed.name;
+  return record;
+}
+
+/**
+ * Decide whether a feed should be fetched this run
+ * Quarantined feeds are only probed once every QUARANTINE_RETRY_DAYS
+ */
+function shouldFetch(health, feed, now = new Date()) {
+  const record = health.feeds[feed.url];
+  if (!record || !record.quarantinedAt) return true;
+  const lastAttempt = new Date(record.lastAttempt || record.quarantinedAt);
+  return now - lastAttempt >= QUARANTINE_RETRY_DAYS * DAY_MS;
+}
+
+/**
+ * Record a successful fetch
+ * @param {number|null} itemCount - Items in the feed, or null for 304 Not Modified
+ * @returns {boolean} True if the feed was quarantined and has now recovered
+ */
+function recordSuccess(health, feed, itemCount, now = new Date()) {
+  const record = getRecord(health, feed);
+  const recovered = Boolean(record.quarantinedAt);
+
+  record.lastAttempt = now.toISOString();
+  record.lastSuccess = now.toISOString();
+  record.consecutiveFailures = 0;
+  record.lastError = null;
+  record.quarantinedAt = null;
+
+  if (itemCount !== null) {
+    record.avgItemCount = record.avgItemCount === null
+      ? itemCount
+      : Math.round((ITEM_COUNT_ALPHA * itemCount + (1 - ITEM_COUNT_ALPHA) * record.avgItemCount) * 10) / 10;
+  }
+
+  return recovered;
+}
+
+/**
+ * Record a failed fetch
+ * @returns {boolean} True if this failure newly quarantined the feed
+ */
+function recordFailure(health, feed, error, now = new Date()) {
+  const record = getRecord(health, feed);
+
+  record.lastAttempt = now.toISOString();
+  record.consecutiveFailures++;
+  record.lastError = (error && error.message ? error.message : String(error)).substring(0, 500);
+
+  if (!record.quarantinedAt && record.consecutiveFailures >= QUARANTINE_AFTER) {
+    record.quarantinedAt = now.toISOString();
+    return true;
+  }
+  return false;
+}
+
+/**
+ * Classify a record for reporting
+ * @returns {string} 'quarantined' | 'failing' | 'healthy' | 'unknown'
+ */
+function feedStatus(record) {
+  if (!record || !record.lastAttempt) return 'unknown';
+  if (record.quarantinedAt) return 'quarantined';
+  if (record.consecutiveFailures > 0) return 'failing';
+  return 'healthy';
+}
+
+/**
+ * Summarize health for the given feeds (worst first)
+ * @returns {Array} [{ name, url, status, ...record }]
+ */
+function summarizeHealth(health, feeds) {
+  const order = { quarantined: 0, failing: 1, unknown: 2, healthy: 3 };
+  return feeds
+    .map(feed => {
+      const record = health.feeds[feed.url] || {};
+      return { ...record, name: feed.name, url: feed.url, status: feedStatus(record) };
+    })
+    .sort((a, b) => order[a.status] - order[b.status] || a.name.localeCompare(b.name));
+}
+
+/**
+ * Build Notion blocks for the Feed Health page
+ */
+function buildHealthBlocks(summary) {
+  const today = new Date().toISOString().split('T')[0];
+  const counts = summary.reduce((acc, row) => ({ ...acc, [row.status]: (acc[row.status] || 0) + 1 }), {});
+  const cell = (content) => [{ type: 'text', text: { content: String(content).substring(0, 2000) } }];
+
+  const rows = summary.map(row => ({
+    type: 'table_row',
+    table_row: {
+      cells: [
+        [{ type: 'text', text: { content: row.name, link: { url: row.url } } }],
+        cell(row.status === 'quarantined' ? '⛔ quarantined' : row.status === 'failing' ? '⚠️ failing' : row.status === 'healthy' ? '✅ healthy' : '❔ unknown'),
+        cell(row.lastSuccess ? row.lastSuccess.split('T')[0] : 'never'),
+        cell(row.consecutiveFailures || 0),
+        cell(row.avgItemCount ?? '-'),
+        cell(row.lastError || ''),
+      ],
+    },
+  }));
+
+  return [
+    {
+      type: 'heading_2',
+      heading_2: { rich_text: [{ text: { content: '🩺 Feed Health' } }] }
+    },
+    {
+      type: 'paragraph',
+      paragraph: { rich_text: [{ text: { content: `Last Updated: ${today}` } }] }
+    },
+    {
+      type: 'callout',
+      callout: {
+        icon: { type: 'emoji', emoji: counts.quarantined ? '⛔' : counts.failing ? '⚠️' : '✅' },
+        rich_text: [{ text: { content:
+          `${counts.healthy || 0} healthy, ${counts.failing || 0} failing, ${counts.quarantined || 0} quarantined. ` +
+          `Feeds are quarantined after ${QUARANTINE_AFTER} consecutive failures and retried every ${QUARANTINE_RETRY_DAYS} days - fix or disable their URLs.`
+        } }]
+      }
+    },
+    {
+      type: 'table',
+      table: {
+        table_width: 6,
+        has_column_header: true,
+        has_row_header: false,
+        children: [
+          {
+            type: 'table_row',
+            table_row: { cells: ['Feed', 'Status', 'Last Success', 'Failures', 'Avg Items', 'Last Error'].map(cell) },
+          },
+          ...rows,
+        ],
+      },
+    },
+  ];
+}
+
+module.exports = {
+  QUARANTINE_AFTER,
+  loadFeedHealth,
+  saveFeedHealth,
+  shouldFetch,
+  recordSuccess,
+  recordFailure,
+  summarizeHealth,
+  buildHealthBlocks,
+};
@@ -0,0 +1,115 @@
+/**
+ * Bounded-Concurrency Fetch Pool
+ *
+ * Runs fetch tasks in parallel up to a global concurrency limit while keeping
+ * requests to the same host sequential and spaced apart. Each host gets its
+ * own queue, so total run time tracks the slowest host instead of the sum of
+ * all requests, and no publisher sees more than one request at a time.
+ */
+
+const DEFAULT_CONCURRENCY = 4;
+const DEFAULT_HOST_INTERVAL_MS = 1000;
+
+/**
+ * Sleep helper
+ */
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Extract the politeness key (hostname without www.) for a URL
+ */
+function hostOf(url) {
+  try {
+    return new URL(url).hostname.toLowerCase().replace(/^www\./, '');
+  } catch {
+    return '';
+  }
+}
+
+/**
+ * Create a counting semaphore
+ */
+function createSemaphore(limit) {
+  let active = 0;
+  const waiting = [];
+
+  return {
+    async acquire() {
+      if (active < limit) {
+        active++;
+        return;
+      }
+      await new Promise(resolve => waiting.push(resolve));
+    },
+    release() {
+      const next = waiting.shift();
+      if (next) {
+        next(); // Hand the slot directly to the next waiter
+      } else {
+        active--;
+      }
+    },
+  };
+}
+
+/**
+ * Run a worker over items with bounded concurrency and per-host spacing
+ * @param {Array} items - Items to process
+ * @param {function} worker - async (item) => result
+ * @param {object} [options]
+ * @param {function} options.getUrl - item => URL used to group requests by host
+ * @param {number} [options.concurrency] - Maximum requests in flight overall
+ * @param {number} [options.hostIntervalMs] - Minimum gap between requests to one host
+ * @param {object} [options.hostIntervals] - Per-host overrides, e.g. { 'serpapi.com': 1000 }
+ * @returns {Promise<Array>} Results in input order, shaped like Promise.allSettled()
+ */
+async function runPool(items, worker, options = {}) {
+  const concurrency = Math.max(1, options.concurrency || DEFAULT_CONCURRENCY);
+  const defaultInterval = options.hostIntervalMs ?? DEFAULT_HOST_INTERVAL_MS;
+  const hostIntervals = options.hostIntervals || {};
+  const getUrl = options.getUrl || (item => item.url);
+
+  const semaphore = createSemaphore(concurrency);
+  const results = new Array(items.length);
+
+  // Group item indexes by host, preserving input order within each host
+  const queues = new Map();
+  items.forEach((item, index) => {
+    const host = hostOf(getUrl(item)) || `#${index}`;
+    if (!queues.has(host)) queues.set(host, []);
+    queues.get(host).push(index);
+  });
+
+  const runHost = async (host, indexes) => {
+    const interval = hostIntervals[host] ?? defaultInterval;
+
+    for (let i = 0; i < indexes.length; i++) {
+      const index = indexes[i];
+      await semaphore.acquire();
+      try {
+        results[index] = { status: 'fulfilled', value: await worker(items[index]) };
+      } catch (error) {
+        results[index] = { status: 'rejected', reason: error };
+      } finally {
+        semaphore.release();
+      }
+
+      // Space out requests to the same host (without holding a global slot)
+      if (i < indexes.length - 1 && interval > 0) {
+        await sleep(interval);
+      }
+    }
+  };
+
+  await Promise.all([...queues.entries()].map(([host, indexes]) => runHost(host, indexes)));
+  return results;
+}
+
+module.exports = {
+  DEFAULT_CONCURRENCY,
+  DEFAULT_HOST_INTERVAL_MS,
+  hostOf,
+  runPool,
+};
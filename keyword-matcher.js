@@ -0,0 +1,355 @@
+/**
+ * Keyword Matching Engine
+ *
+ * Compiles scanner keywords into matchers that respect word boundaries, so
+ * "mdo" no longer matches "commodore" and "ooze" no longer matches "snooze".
+ *
+ * Keyword syntax:
+ *   puffco                  Whole word (case-insensitive)
+ *   pax labs                Adjacent words form a phrase (space or hyphen between)
+ *   "pax labs"              Quoted phrase
+ *   vape*                   Trailing wildcard (vape, vapes, vaped...)
+ *   fda AND warning         Both terms anywhere in the text
+ *   pmta OR mdo             Either term
+ *   vape NOT ban            First term without the second
+ *   tariff NEAR/5 glass     Terms within 5 words of each other (either order)
+ *   (a OR b) AND c          Parentheses for grouping
+ *   /hts\s*\d{4}/i          Regular expression (flags optional, always global)
+ *
+ * Operators must be uppercase; lowercase "and"/"or"/"not" are ordinary words.
+ * Every match reports the spans that satisfied it, so callers can quote the
+ * exact context from the article.
+ */
+
+const DEFAULT_CONTEXT_RADIUS = 80;
+
+// Characters that count as part of a word for boundary checks
+const WORD_CHAR = 'a-z0-9';
+
+/**
+ * Escape a string for literal use in a RegExp
+ */
+function escapeRegExp(string) {
+  return string.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Build a word-boundary regex for a sequence of words
+ */
+function buildPhraseRegex(words) {
+  const parts = words.map(word => {
+    if (word.endsWith('*') && word.length > 1) {
+      return `${escapeRegExp(word.slice(0, -1))}[${WORD_CHAR}]*`;
+    }
+    return escapeRegExp(word);
+  });
+  return new RegExp(`(?<![${WORD_CHAR}])${parts.join('[\\s\\-]+')}(?![${WORD_CHAR}])`, 'gi');
+}
+
+// ============================================================================
+// TOKENIZER
+// ============================================================================
+
+/**
+ * Split a keyword expression into tokens
+ */
+function tokenize(expression) {
+  const tokens = [];
+  let i = 0;
+
+  while (i < expression.length) {
+    const char = expression[i];
+
+    if (/\s/.test(char)) {
+      i++;
+      continue;
+    }
+
+    if (char === '(' || char === ')') {
+      tokens.push({ type: char === '(' ? 'LPAREN' : 'RPAREN' });
+      i++;
+      continue;
+    }
+
+    if (char === '"') {
+      const end = expression.indexOf('"', i + 1);
+      if (end === -1) throw new Error(`Unterminated quote in "${expression}"`);
+      const words = expression.slice(i + 1, end).trim().split(/\s+/).filter(w => w.length > 0);
+      if (words.length === 0) throw new Error(`Empty phrase in "${expression}"`);
+      tokens.push({ type: 'TERM', words });
+      i = end + 1;
+      continue;
+    }
+
+    if (char === '/') {
+      let end = i + 1;
+      while (end < expression.length && expression[end] !== '/') {
+        end += expression[end] === '\\' ? 2 : 1;
+      }
+      if (end >= expression.length) throw new Error(`Unterminated regex in "${expression}"`);
+      const flagsMatch = expression.slice(end + 1).match(/^[a-z]*/);
+      const flags = flagsMatch[0];
+      const flagSet = new Set(flags.replace(/[gy]/g, '') + 'g');
+      let regex;
+      try {
+        regex = new RegExp(expression.slice(i + 1, end), [...flagSet].join(''));
+      } catch (error) {
+        throw new Error(`Invalid regex in "${expression}": ${error.message}`);
+      }
+      tokens.push({ type: 'TERM', regex });
+      i = end + 1 + flags.length;
+      continue;
+    }
+
+    // Bare word (runs until whitespace, quote or paren)
+    let end = i;
+    while (end < expression.length && !/[\s()"]/.test(expression[end])) end++;
+    const word = expression.slice(i, end);
+    i = end;
+
+    const nearMatch = word.match(/^NEAR\/(\d+)$/);
+    if (nearMatch) {
+      tokens.push({ type: 'NEAR', distance: parseInt(nearMatch[1], 10) });
+    } else if (word === 'AND' || word === 'OR' || word === 'NOT') {
+      tokens.push({ type: word });
+    } else {
+      // Adjacent bare words form a single phrase
+      const previous = tokens[tokens.length - 1];
+      if (previous && previous.type === 'TERM' && previous.bare) {
+        previous.words.push(word);
+      } else {
+        tokens.push({ type: 'TERM', words: [word], bare: true });
+      }
+    }
+  }
+
+  return tokens;
+}
+
+// ============================================================================
+// PARSER
+// ============================================================================
+
+/**
+ * Parse tokens into an expression tree
+ * Precedence (loosest first): OR, AND (explicit or implicit), NOT, NEAR
+ */
+function parse(tokens, expression) {
+  let pos = 0;
+
+  const peek = () => tokens[pos];
+  const fail = (message) => {
+    throw new Error(`${message} in "${expression}"`);
+  };
+
+  function parseOr() {
+    let node = parseAnd();
+    while (peek() && peek().type === 'OR') {
+      pos++;
+      node = { op: 'OR', left: node, right: parseAnd() };
+    }
+    return node;
+  }
+
+  function parseAnd() {
+    let node = parseNot();
+    while (peek() && (peek().type === 'AND' || peek().type === 'NOT' || peek().type === 'TERM' || peek().type === 'LPAREN')) {
+      if (peek().type === 'AND') pos++;
+      node = { op: 'AND', left: node, right: parseNot() };
+    }
+    return node;
+  }
+
+  function parseNot() {
+    if (peek() && peek().type === 'NOT') {
+      pos++;
+      return { op: 'NOT', child: parseNot() };
+    }
+    return parseNear();
+  }
+
+  function parseNear() {
+    let node = parsePrimary();
+    while (peek() && peek().type === 'NEAR') {
+      const distance = tokens[pos++].distance;
+      node = { op: 'NEAR', distance, left: node, right: parsePrimary() };
+    }
+    return node;
+  }
+
+  function parsePrimary() {
+    const token = tokens[pos++];
+    if (!token) fail('Unexpected end of expression');
+
+    if (token.type === 'TERM') {
+      return { op: 'TERM', regex: token.regex || buildPhraseRegex(token.words) };
+    }
+    if (token.type === 'LPAREN') {
+      const node = parseOr();
+      if (!peek() || peek().type !== 'RPAREN') fail('Missing closing parenthesis');
+      pos++;
+      return node;
+    }
+    return fail(`Unexpected ${token.type}`);
+  }
+
+  if (tokens.length === 0) fail('Empty keyword');
+  const tree = parseOr();
+  if (pos < tokens.length) fail(`Unexpected ${tokens[pos].type}`);
+  return tree;
+}
+
+// ============================================================================
+// EVALUATION
+// ============================================================================
+
+/**
+ * Find all spans matched by a regex
+ */
+function findSpans(regex, text) {
+  const spans = [];
+  regex.lastIndex = 0;
+  let match;
+  while ((match = regex.exec(text)) !== null) {
+    if (match[0].length === 0) {
+      regex.lastIndex++;
+      continue;
+    }
+    spans.push({ start: match.index, end: match.index + match[0].length, text: match[0] });
+  }
+  return spans;
+}
+
+/**
+ * Count the words strictly between two spans
+ */
+function wordsBetween(text, first, second) {
+  const [a, b] = first.start <= second.start ? [first, second] : [second, first];
+  if (b.start <= a.end) return 0;
+  const between = text.slice(a.end, b.start).match(/[a-z0-9]+/gi);
+  return between ? between.length : 0;
+}
+
+/**
+ * Evaluate an expression tree against text
+ * @returns {object} { matched: boolean, spans: Array }
+ */
+function evaluate(node, text) {
+  switch (node.op) {
+    case 'TERM': {
+      const spans = findSpans(node.regex, text);
+      return { matched: spans.length > 0, spans };
+    }
+    case 'AND': {
+      const left = evaluate(node.left, text);
+      if (!left.matched) return { matched: false, spans: [] };
+      const right = evaluate(node.right, text);
+      if (!right.matched) return { matched: false, spans: [] };
+      return { matched: true, spans: [...left.spans, ...right.spans] };
+    }
+    case 'OR': {
+      const left = evaluate(node.left, text);
+      const right = evaluate(node.right, text);
+      return { matched: left.matched || right.matched, spans: [...left.spans, ...right.spans] };
+    }
+    case 'NOT': {
+      const child = evaluate(node.child, text);
+      return { matched: !child.matched, spans: [] };
+    }
+    case 'NEAR': {
+      const left = evaluate(node.left, text);
+      const right = evaluate(node.right, text);
+      const spans = [];
+      for (const a of left.spans) {
+        for (const b of right.spans) {
+          if (wordsBetween(text, a, b) <= node.distance) {
+            spans.push(a.start <= b.start
+              ? { start: a.start, end: Math.max(a.end, b.end), text: '' }
+              : { start: b.start, end: Math.max(a.end, b.end), text: '' });
+          }
+        }
+      }
+      spans.forEach(span => { span.text = text.slice(span.start, span.end); });
+      return { matched: spans.length > 0, spans };
+    }
+    default:
+      throw new Error(`Unknown operator ${node.op}`);
+  }
+}
+
+// ============================================================================
+// PUBLIC API
+// ============================================================================
+
+/**
+ * Compile a keyword expression
+ * @param {string} keyword - Keyword in the syntax described above
+ * @returns {object} Compiled matcher { keyword, tree }
+ * @throws {Error} If the expression is malformed
+ */
+function compileKeyword(keyword) {
+  const expression = String(keyword || '').trim();
+  return { keyword: expression, tree: parse(tokenize(expression), expression) };
+}
+
+/**
+ * Check whether a keyword expression is valid
+ * @returns {string|null} Error message, or null if valid
+ */
+function validateKeyword(keyword) {
+  try {
+    compileKeyword(keyword);
+    return null;
+  } catch (error) {
+    return error.message;
+  }
+}
+
+/**
+ * Match a compiled keyword against text
+ * @param {object} compiled - Result of compileKeyword()
+ * @param {string} text - Text to search
+ * @returns {object|null} { keyword, spans, span } (span = earliest match) or null
+ */
+function matchKeyword(compiled, text) {
+  if (!text) return null;
+  const result = evaluate(compiled.tree, text);
+  if (!result.matched) return null;
+
+  const spans = result.spans.sort((a, b) => a.start - b.start);
+  return { keyword: compiled.keyword, spans, span: spans[0] || null };
+}
+
+/**
+ * Extract the sentence-level context around a span for quoting
+ * @param {string} text - Full text the span came from
+ * @param {object} span - { start, end }
+ * @param {number} radius - Characters of context on each side
+ * @returns {string} Context with ellipses where truncated
+ */
+function extractContext(text, span, radius = DEFAULT_CONTEXT_RADIUS) {
+  if (!text || !span) return '';
+
+  let start = Math.max(0, span.start - radius);
+  let end = Math.min(text.length, span.end + radius);
+
+  // Snap to word boundaries so the quote doesn't start mid-word
+  if (start > 0) {
+    const space = text.indexOf(' ', start);
+    if (space !== -1 && space < span.start) start = space + 1;
+  }
+  if (end < text.length) {
+    const space = text.lastIndexOf(' ', end);
+    if (space > span.end) end = space;
+  }
+
+  const snippet = text.slice(start, end).replace(/\s+/g, ' ').trim();
+  return `${start > 0 ? '…' : ''}${snippet}${end < text.length ? '…' : ''}`;
+}
+
+module.exports = {
+  compileKeyword,
+  validateKeyword,
+  matchKeyword,
+  extractContext,
+};
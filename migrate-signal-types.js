@@ -0,0 +1,285 @@
+#!/usr/bin/env node
+/**
+ * Signal Type Migration
+ *
+ * Brings the Signals database in line with the signal taxonomy
+ * (signal-taxonomy.js, or SIGNAL_TAXONOMY_FILE):
+ *
+ * 1. Adds any missing taxonomy types to the signal_type select options
+ *    (existing options are kept, including ones no longer in the taxonomy)
+ * 2. With --reclassify, re-runs the taxonomy rules on scanner-created signals
+ *    and updates pages whose signal_type changed. Classification uses the
+ *    page's categories/keywords multi-selects and title; pages without a
+ *    categories value and trend monitor (TREND) signals are left alone.
+ *
+ * Usage:
+ *   node migrate-signal-types.js                          # Update select options
+ *   node migrate-signal-types.js --reclassify             # Also reclassify existing signals
+ *   node migrate-signal-types.js --reclassify --dry-run   # Preview changes
+ *
+ * Required environment variables:
+ *   NOTION_TOKEN - Notion API integration token
+ *   SIGNALS_DATABASE_ID - Notion database ID for signals
+ *
+ * Optional:
+ *   SIGNAL_TAXONOMY_FILE - JSON file with signal types and classification rules
+ *   PROPERTY_ALIASES_FILE - JSON file mapping schema properties to other names (see notion-schema.js)
+ *   SIGNAL_TYPE_PRECEDENCE - Comma-separated signal type priority for multi-category signals
+ */
+
+const { loadTaxonomy, classifyMatch, typePrecedence } = require('./signal-taxonomy');
+const { createNotionClient, formatNotionStats } = require('./notion-client');
+const { DATABASE_SCHEMAS, preflightDatabase, loadPropertyAliases } = require('./notion-schema');
+
+const { notion, notionRequest, notionStats } = createNotionClient({ auth: process.env.NOTION_TOKEN });
+
+const SIGNALS_DB = process.env.SIGNALS_DATABASE_ID;
+const DRY_RUN = process.env.DRY_RUN === 'true' || process.argv.includes('--dry-run');
+const RECLASSIFY = process.argv.includes('--reclassify');
+
+const { taxonomy: TAXONOMY, source: TAXONOMY_SOURCE, error: TAXONOMY_ERROR } = loadTaxonomy(process.env.SIGNAL_TAXONOMY_FILE);
+const SIGNAL_TYPE_PRECEDENCE = typePrecedence(TAXONOMY, process.env.SIGNAL_TYPE_PRECEDENCE);
+const PROPERTY_ALIASES = loadPropertyAliases(process.env.PROPERTY_ALIASES_FILE);
+
+// Actual property names per schema field (set by the startup preflight)
+let signalFields = {};
+
+// Types assigned outside the scanner's rules - never reclassified
+const PRESERVED_TYPES = ['TREND'];
+
+// ============================================================================
+// HELPER FUNCTIONS
+// ============================================================================
+
+/**
+ * Sleep helper
+ */
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Read plain text from a title or rich text property
+ */
+function readText(property) {
+  if (!property) return '';
+  const parts = property.type === 'title' ? property.title : property.rich_text;
+  return (parts || []).map(t => t.plain_text).join('');
+}
+
+/**
+ * Read option names from a multi-select property
+ */
+function readMultiSelect(property) {
+  return property?.type === 'multi_select' ? property.multi_select.map(option => option.name) : [];
+}
+
+/**
+ * Pick the highest-precedence type
+ */
+function pickSignalType(types) {
+  const rank = (type) => {
+    const index = SIGNAL_TYPE_PRECEDENCE.indexOf(type);
+    return index === -1 ? SIGNAL_TYPE_PRECEDENCE.length : index;
+  };
+  return types.reduce((best, type) => (rank(type) < rank(best) ? type : best));
+}
+
+/**
+ * Classify an existing signal page from its properties
+ * @returns {string|null} New signal type, or null if the page can't be classified
+ */
+function classifyPage(page) {
+  const props = page.properties || {};
+  const categories = readMultiSelect(props[signalFields.categories]);
+  if (categories.length === 0) return null;
+
+  const text = [
+    readText(props[signalFields.content]),
+    readText(props[signalFields.entity]),
+    ...readMultiSelect(props[signalFields.keywords]),
+  ].join(' ');
+
+  return pickSignalType(categories.map(category => classifyMatch(TAXONOMY, category, text)));
+}
+
+// ============================================================================
+// MIGRATION STEPS
+// ============================================================================
+
+/**
+ * Add missing taxonomy types to the signal_type select options
+ * @returns {Promise<Array>} Names of the options added
+ */
+async function updateSelectOptions(database) {
+  const property = database.properties[signalFields.signal_type];
+  if (!property || property.type !== 'select') {
+    throw new Error('Signals database has no "signal_type" select property');
+  }
+
+  const existing = property.select.options || [];
+  const existingNames = existing.map(option => option.name);
+  const missing = TAXONOMY.types.filter(type => !existingNames.includes(type.name));
+
+  for (const type of missing) {
+    console.log(`  [ADD] ${type.name} (${type.color})${type.description ? ` - ${type.description}` : ''}`);
+  }
+  for (const name of existingNames.filter(name => !TAXONOMY.typeNames.includes(name))) {
+    console.log(`  [KEEP] ${name} (not in taxonomy)`);
+  }
+
+  if (missing.length > 0 && !DRY_RUN) {
+    // Existing options must be listed or Notion removes them; their colors can't be changed
+    await notionRequest(() => notion.databases.update({
+      database_id: SIGNALS_DB,
+      properties: {
+        [signalFields.signal_type]: {
+          select: {
+            options: [
+              ...existing.map(option => ({ id: option.id, name: option.name })),
+              ...missing.map(type => ({ name: type.name, color: type.color })),
+            ],
+          },
+        },
+      },
+    }));
+  }
+
+  return missing.map(type => type.name);
+}
+
+/**
+ * Re-run the taxonomy rules on scanner-created signals
+ * @returns {Promise<object>} { scanned, changed, unchanged, unclassifiable, failed, changes }
+ */
+async function reclassifySignals() {
+  const stats = { scanned: 0, changed: 0, unchanged: 0, unclassifiable: 0, failed: 0, changes: {} };
+  let hasMore = true;
+  let startCursor = undefined;
+
+  while (hasMore) {
+    const response = await notionRequest(() => notion.databases.query({
+      database_id: SIGNALS_DB,
+      filter: { property: signalFields.signal_id, title: { starts_with: 'auto-' } },
+      start_cursor: startCursor,
+      page_size: 100,
+    }));
+
+    for (const page of response.results) {
+      const currentType = page.properties[signalFields.signal_type]?.select?.name || null;
+      if (PRESERVED_TYPES.includes(currentType)) continue;
+      stats.scanned++;
+
+      const newType = classifyPage(page);
+      if (!newType) {
+        stats.unclassifiable++;
+        continue;
+      }
+      if (newType === currentType) {
+        stats.unchanged++;
+        continue;
+      }
+
+      const title = readText(page.properties[signalFields.content]).substring(0, 60);
+      const change = `${currentType || '(none)'} -> ${newType}`;
+      console.log(`  ${DRY_RUN ? '[DRY RUN] ' : ''}${change}: ${title}`);
+
+      if (!DRY_RUN) {
+        try {
+          await notionRequest(() => notion.pages.update({
+            page_id: page.id,
+            properties: { [signalFields.signal_type]: { select: { name: newType } } },
+          }));
+        } catch (error) {
+          console.error(`  Warning: Could not update ${page.id}: ${error.message}`);
+          stats.failed++;
+          continue;
+        }
+        await sleep(300); // Rate limit
+      }
+
+      stats.changed++;
+      stats.changes[change] = (stats.changes[change] || 0) + 1;
+    }
+
+    hasMore = response.has_more;
+    startCursor = response.next_cursor;
+  }
+
+  return stats;
+}
+
+// ============================================================================
+// MAIN EXECUTION
+// ============================================================================
+
+async function main() {
+  console.log('='.repeat(60));
+  console.log('Signal Type Migration');
+  console.log('='.repeat(60));
+  if (DRY_RUN) console.log('Mode: DRY RUN (no changes will be made)');
+  console.log('');
+
+  if (!process.env.NOTION_TOKEN) {
+    console.error('Error: NOTION_TOKEN environment variable not set');
+    process.exit(1);
+  }
+  if (!SIGNALS_DB) {
+    console.error('Error: SIGNALS_DATABASE_ID environment variable not set');
+    process.exit(1);
+  }
+  if (TAXONOMY_ERROR) {
+    console.error(`Error: Invalid signal taxonomy ${TAXONOMY_ERROR}`);
+    process.exit(1);
+  }
+  if (PROPERTY_ALIASES.error) {
+    console.error(`Error: Invalid property aliases ${PROPERTY_ALIASES.error}`);
+    process.exit(1);
+  }
+
+  try {
+    console.log(`Taxonomy: ${TAXONOMY.typeNames.join(', ')} (${TAXONOMY_SOURCE})`);
+    console.log('');
+
+    console.log('Checking Signals database schema...');
+    const { database, fields } = await preflightDatabase({ notion, notionRequest }, DATABASE_SCHEMAS.signals, SIGNALS_DB, PROPERTY_ALIASES.aliases.signals);
+    signalFields = fields;
+    if (RECLASSIFY && !signalFields.categories) {
+      console.log('  Note: Signals database has no "categories" multi-select property - no signals can be reclassified');
+    }
+    console.log('');
+
+    console.log('Step 1: Updating signal_type options...');
+    const added = await updateSelectOptions(database);
+    console.log(added.length > 0 ? `  ${DRY_RUN ? 'Would add' : 'Added'} ${added.length} options` : '  All taxonomy types already exist');
+    console.log('');
+
+    if (!RECLASSIFY) {
+      console.log('Skipping reclassification (run with --reclassify to update existing signals)');
+      return;
+    }
+
+    console.log('Step 2: Reclassifying scanner signals...');
+    const stats = await reclassifySignals();
+    console.log('');
+
+    console.log('='.repeat(60));
+    console.log('Summary:');
+    console.log(`  - Signals scanned: ${stats.scanned}`);
+    console.log(`  - ${DRY_RUN ? 'Would change' : 'Changed'}: ${stats.changed}`);
+    for (const [change, count] of Object.entries(stats.changes)) {
+      console.log(`      * ${change}: ${count}`);
+    }
+    console.log(`  - Unchanged: ${stats.unchanged}`);
+    console.log(`  - Unclassifiable (no categories): ${stats.unclassifiable}`);
+    if (stats.failed > 0) console.log(`  - Failed: ${stats.failed}`);
+    console.log(`  - Notion API: ${formatNotionStats(notionStats)}`);
+    console.log('='.repeat(60));
+  } catch (error) {
+    console.error('');
+    console.error('ERROR:', error.message);
+    process.exit(1);
+  }
+}
+
+main();
@@ -0,0 +1,302 @@
+/**
+ * Outbound Notifier
+ *
+ * Sends new signals (scanner.js) and trend alerts (trend-monitor.js) to chat
+ * and webhook channels outside Notion. Each channel has an adapter that turns
+ * a rendered message into the destination's payload:
+ *
+ *   slack   - Slack incoming webhook ({ text })
+ *   discord - Discord webhook ({ content, embeds })
+ *   teams   - Microsoft Teams webhook with an Adaptive Card
+ *   webhook - Generic JSON POST ({ event, text, notification })
+ *
+ * Channels come from a JSON file (NOTIFY_CONFIG_FILE):
+ *
+ *   {
+ *     "channels": [
+ *       {
+ *         "name": "tariffs",
+ *         "type": "slack",
+ *         "urlEnv": "SLACK_TARIFFS_WEBHOOK_URL",
+ *         "filters": { "categories": ["tariffs"], "minConfidence": 0.7 },
+ *         "template": "*{{signalType}}* {{title}} ({{confidencePercent}}%)\n{{link}}"
+ *       }
+ *     ]
+ *   }
+ *
+ * Filters (all optional, all must pass): kinds ("signal", "trend_alert"),
+ * categories, signalTypes, minConfidence (0-1) and monitors (monitor IDs; only
+ * trend alerts carry one). Webhook URLs are read from the environment variable
+ * named by urlEnv so secrets stay out of the file; "url" is accepted for local
+ * stand-ins. Without a config file, SLACK_WEBHOOK_URL, DISCORD_WEBHOOK_URL,
+ * TEAMS_WEBHOOK_URL and NOTIFY_WEBHOOK_URL each add an unfiltered channel.
+ *
+ * Failed deliveries are retried on network errors, 429 (honouring
+ * Retry-After) and 5xx responses with exponential backoff.
+ */
+
+const fs = require('fs');
+
+const CHANNEL_TYPES = ['slack', 'discord', 'teams', 'webhook'];
+const NOTIFICATION_KINDS = ['signal', 'trend_alert'];
+
+const ENV_CHANNELS = [
+  { name: 'slack', type: 'slack', urlEnv: 'SLACK_WEBHOOK_URL' },
+  { name: 'discord', type: 'discord', urlEnv: 'DISCORD_WEBHOOK_URL' },
+  { name: 'teams', type: 'teams', urlEnv: 'TEAMS_WEBHOOK_URL' },
+  { name: 'webhook', type: 'webhook', urlEnv: 'NOTIFY_WEBHOOK_URL' },
+];
+
+const DEFAULT_TEMPLATES = {
+  signal: '{{emoji}} {{signalType}}: {{title}} ({{confidencePercent}}% confidence, {{category}})\n{{link}}',
+  trend_alert: '📈 Trend alert for {{monitor}}: {{summary}}',
+};
+
+const SEND_TIMEOUT_MS = 10000;
+const MAX_RETRIES = 3;
+const RETRY_BASE_MS = 1000;
+const MAX_RETRY_AFTER_MS = 60000;
+
+const TYPE_EMOJI = { RECALL: '🚨', LEGAL: '⚖️', TARIFF: '🧾', TREND: '📈' };
+
+/**
+ * Sleep helper
+ */
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Validate a channel definition and resolve its URL
+ * @returns {object} Channel with `url` resolved
+ * @throws {Error} If the channel is invalid
+ */
+function compileChannel(channel, env) {
+  const name = channel.name || channel.type;
+  if (!CHANNEL_TYPES.includes(channel.type)) {
+    throw new Error(`channel "${name}" has unknown type "${channel.type}" (expected ${CHANNEL_TYPES.join(', ')})`);
+  }
+
+  const filters = channel.filters || {};
+  for (const kind of filters.kinds || []) {
+    if (!NOTIFICATION_KINDS.includes(kind)) throw new Error(`channel "${name}" has unknown kind "${kind}"`);
+  }
+  if (filters.minConfidence !== undefined && (typeof filters.minConfidence !== 'number' || filters.minConfidence < 0 || filters.minConfidence > 1)) {
+    throw new Error(`channel "${name}" minConfidence must be a number between 0 and 1`);
+  }
+
+  return {
+    name,
+    type: channel.type,
+    url: channel.urlEnv ? env[channel.urlEnv] || null : channel.url || null,
+    urlEnv: channel.urlEnv || null,
+    filters: {
+      kinds: filters.kinds || null,
+      categories: filters.categories ? filters.categories.map(c => c.toLowerCase()) : null,
+      signalTypes: filters.signalTypes ? filters.signalTypes.map(t => t.toUpperCase()) : null,
+      minConfidence: filters.minConfidence ?? null,
+      monitors: filters.monitors || null,
+    },
+    templates: typeof channel.template === 'string'
+      ? { signal: channel.template, trend_alert: channel.template }
+      : { ...DEFAULT_TEMPLATES, ...(channel.template || {}) },
+  };
+}
+
+/**
+ * Load notification channels from NOTIFY_CONFIG_FILE, or from the webhook
+ * URL environment variables when no file is given
+ * @param {string} [file] - JSON channel config
+ * @param {object} [env] - Environment (default: process.env)
+ * @returns {object} { channels, missing, source, error } - channels whose URL is
+ *   not set are left out and listed by name in `missing`
+ */
+function loadNotifier(file, env = process.env) {
+  if (!file) {
+    const channels = ENV_CHANNELS.filter(channel => env[channel.urlEnv]).map(channel => compileChannel(channel, env));
+    return { channels, missing: [], source: 'environment', error: null };
+  }
+
+  try {
+    const config = JSON.parse(fs.readFileSync(file, 'utf8'));
+    if (!Array.isArray(config.channels)) throw new Error('"channels" must be an array');
+    const channels = config.channels.map(channel => compileChannel(channel, env));
+    return {
+      channels: channels.filter(channel => channel.url),
+      missing: channels.filter(channel => !channel.url).map(channel => channel.name),
+      source: file,
+      error: null,
+    };
+  } catch (error) {
+    return { channels: [], missing: [], source: file, error: `${file}: ${error.message}` };
+  }
+}
+
+/**
+ * Check a notification against a channel's filters
+ * @param {object} channel - From loadNotifier()
+ * @param {object} notification - See sendNotification()
+ */
+function matchesFilters(channel, notification) {
+  const { kinds, categories, signalTypes, minConfidence, monitors } = channel.filters;
+  if (kinds && !kinds.includes(notification.kind)) return false;
+  if (categories && !(notification.categories || []).some(c => categories.includes(c.toLowerCase()))) return false;
+  if (signalTypes && !signalTypes.includes((notification.signalType || '').toUpperCase())) return false;
+  if (minConfidence !== null && (notification.confidence ?? 0) < minConfidence) return false;
+  if (monitors && !monitors.includes(notification.monitor)) return false;
+  return true;
+}
+
+/**
+ * Fill a template's {{placeholders}} from a notification (unknown ones become empty)
+ */
+function renderTemplate(template, notification) {
+  const values = {
+    ...notification,
+    category: (notification.categories || [])[0] || '',
+    categories: (notification.categories || []).join(', '),
+    confidencePercent: notification.confidence !== undefined ? Math.round(notification.confidence * 100) : '',
+    emoji: TYPE_EMOJI[notification.signalType] || '📰',
+  };
+  return template.replace(/\{\{\s*(\w+)\s*\}\}/g, (_, key) => (values[key] ?? '').toString()).trim();
+}
+
+/**
+ * Build the request body for a channel
+ */
+function buildPayload(channel, text, notification) {
+  switch (channel.type) {
+    case 'slack':
+      return { text };
+    case 'discord':
+      return {
+        content: text.substring(0, 2000),
+        embeds: notification.link ? [{ title: notification.title.substring(0, 256), url: notification.link }] : [],
+      };
+    case 'teams':
+      return {
+        type: 'message',
+        attachments: [{
+          contentType: 'application/vnd.microsoft.card.adaptive',
+          content: {
+            $schema: 'http://adaptivecards.io/schemas/adaptive-card.json',
+            type: 'AdaptiveCard',
+            version: '1.4',
+            body: [
+              { type: 'TextBlock', text: notification.title, weight: 'Bolder', size: 'Medium', wrap: true },
+              { type: 'TextBlock', text, wrap: true },
+              {
+                type: 'FactSet',
+                facts: [
+                  notification.signalType && { title: 'Type', value: notification.signalType },
+                  notification.categories?.length && { title: 'Category', value: notification.categories.join(', ') },
+                  notification.confidence !== undefined && { title: 'Confidence', value: `${Math.round(notification.confidence * 100)}%` },
+                  notification.monitor && { title: 'Monitor', value: notification.monitor },
+                ].filter(Boolean),
+              },
+            ],
+            actions: notification.link ? [{ type: 'Action.OpenUrl', title: 'Open', url: notification.link }] : [],
+          },
+        }],
+      };
+    default:
+      return { event: notification.kind, text, notification };
+  }
+}
+
+/**
+ * POST a JSON payload, retrying network errors, 429 and 5xx responses
+ * @param {string} url - Webhook URL
+ * @param {object} payload - JSON body
+ * @param {object} [options] - { retries, retryBaseMs, timeout }
+ * @throws {Error} With the last failure once retries are exhausted
+ */
+async function postWithRetry(url, payload, options = {}) {
+  const retries = options.retries ?? MAX_RETRIES;
+  const retryBaseMs = options.retryBaseMs ?? RETRY_BASE_MS;
+  const timeout = options.timeout || SEND_TIMEOUT_MS;
+  let lastError = null;
+
+  for (let attempt = 0; attempt <= retries; attempt++) {
+    if (attempt > 0) {
+      const retryAfter = lastError.retryAfterMs;
+      await sleep(retryAfter !== undefined ? retryAfter : Math.pow(2, attempt - 1) * retryBaseMs);
+    }
+
+    const controller = new AbortController();
+    const timeoutId = setTimeout(() => controller.abort(), timeout);
+    try {
+      const response = await fetch(url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(payload),
+        signal: controller.signal,
+      });
+      if (response.ok) return response.status;
+
+      const body = (await response.text().catch(() => '')).substring(0, 200);
+      lastError = new Error(`status ${response.status}${body ? `: ${body}` : ''}`);
+      if (response.status !== 429 && response.status < 500) throw lastError; // Not retryable
+
+      const retryAfter = parseFloat(response.headers.get('retry-after'));
+      if (response.status === 429 && !isNaN(retryAfter)) {
+        lastError.retryAfterMs = Math.min(retryAfter * 1000, MAX_RETRY_AFTER_MS);
+      }
+    } catch (error) {
+      if (error === lastError) throw error;
+      lastError = error.name === 'AbortError' ? new Error(`request timed out after ${timeout}ms`) : error;
+    } finally {
+      clearTimeout(timeoutId);
+    }
+  }
+
+  throw lastError;
+}
+
+/**
+ * Send a notification to every channel whose filters match
+ * @param {object} notifier - From loadNotifier()
+ * @param {object} notification - { kind, title, link, summary, categories,
+ *   signalType, confidence (0-1), monitor }
+ * @param {object} [options] - { dryRun, retries, retryBaseMs, timeout }
+ * @returns {Promise<object>} { sent, failed, filtered }
+ */
+async function sendNotification(notifier, notification, options = {}) {
+  const result = { sent: 0, failed: 0, filtered: 0 };
+
+  for (const channel of notifier.channels) {
+    if (!matchesFilters(channel, notification)) {
+      result.filtered++;
+      continue;
+    }
+
+    const template = channel.templates[notification.kind] || DEFAULT_TEMPLATES[notification.kind];
+    const text = renderTemplate(template, notification);
+
+    if (options.dryRun) {
+      console.log(`  [DRY RUN] Would notify ${channel.name} (${channel.type}): ${text.split('\n')[0].substring(0, 80)}`);
+      result.sent++;
+      continue;
+    }
+
+    try {
+      await postWithRetry(channel.url, buildPayload(channel, text, notification), options);
+      result.sent++;
+    } catch (error) {
+      console.error(`  Warning: Could not notify ${channel.name} (${channel.type}): ${error.message}`);
+      result.failed++;
+    }
+  }
+
+  return result;
+}
+
+module.exports = {
+  CHANNEL_TYPES,
+  loadNotifier,
+  matchesFilters,
+  renderTemplate,
+  buildPayload,
+  postWithRetry,
+  sendNotification,
+};
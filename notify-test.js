@@ -0,0 +1,71 @@
+#!/usr/bin/env node
+/**
+ * Notification Test
+ *
+ * Sends a sample signal and a sample trend alert to every configured
+ * notification channel (see notifier.js), so webhook URLs, filters and
+ * templates can be checked without running a scan. Point a channel at a
+ * local HTTP stand-in to inspect the payloads:
+ *
+ *   NOTIFY_WEBHOOK_URL=http://localhost:8080/hook node notify-test.js
+ *
+ * Usage:
+ *   node notify-test.js             # Send sample notifications
+ *   node notify-test.js --dry-run   # Show which channels would receive them
+ *
+ * Optional environment variables:
+ *   NOTIFY_CONFIG_FILE - JSON file of notification channels
+ *   SLACK_WEBHOOK_URL / DISCORD_WEBHOOK_URL / TEAMS_WEBHOOK_URL / NOTIFY_WEBHOOK_URL
+ */
+
+const { loadNotifier, sendNotification } = require('./notifier');
+
+const DRY_RUN = process.env.DRY_RUN === 'true' || process.argv.includes('--dry-run');
+
+const SAMPLES = [
+  {
+    kind: 'signal',
+    title: 'CBP raises duty on imported glass pipes under HTS 9614.00',
+    link: 'https://example.com/sample-signal',
+    summary: 'Sample signal sent by notify-test.js.',
+    categories: ['tariffs'],
+    signalType: 'TARIFF',
+    confidence: 0.85,
+    source: 'Sample Source',
+  },
+  {
+    kind: 'trend_alert',
+    title: 'Trend alert: sample-monitor',
+    summary: 'Sample trend alert sent by notify-test.js (42% change, threshold 25%)',
+    signalType: 'TREND',
+    confidence: 0.7,
+    monitor: 'sample-monitor',
+    terms: 'glass pipes, rolling papers',
+  },
+];
+
+async function main() {
+  const notifier = loadNotifier(process.env.NOTIFY_CONFIG_FILE);
+  if (notifier.error) {
+    console.error(`Error: Invalid notification config ${notifier.error}`);
+    process.exit(1);
+  }
+  for (const name of notifier.missing) {
+    console.error(`Warning: Notification channel "${name}" has no webhook URL set - skipped`);
+  }
+  if (notifier.channels.length === 0) {
+    console.error('Error: No notification channels configured (set NOTIFY_CONFIG_FILE or a *_WEBHOOK_URL variable)');
+    process.exit(1);
+  }
+
+  console.log(`Channels: ${notifier.channels.map(c => `${c.name} (${c.type})`).join(', ')} (${notifier.source})`);
+  let failed = 0;
+  for (const sample of SAMPLES) {
+    const result = await sendNotification(notifier, sample, { dryRun: DRY_RUN });
+    console.log(`  ${sample.kind}: ${result.sent} sent, ${result.failed} failed, ${result.filtered} filtered out`);
+    failed += result.failed;
+  }
+  process.exit(failed > 0 ? 1 : 0);
+}
+
+main();
@@ -0,0 +1,223 @@
+/**
+ * Shared Notion Client
+ *
+ * One Notion client and request wrapper for every script. notionRequest(fn)
+ * runs a Notion call with:
+ *
+ * - Rate limiting: a token bucket holds requests to Notion's average of ~3 per
+ *   second (NOTION_REQUESTS_PER_SECOND), with short bursts allowed
+ * - Retries with exponential backoff and jitter on 429 rate limits (honouring
+ *   Retry-After), 5xx responses, conflict_error, request timeouts and network
+ *   resets. Other errors (validation, not found, unauthorized) fail at once.
+ * - The last real error: when retries run out, the error from the final
+ *   attempt is thrown (with `attempts` set) instead of a generic message
+ * - Per-run counters (calls, requests, retries, rate limits, failures and time
+ *   spent waiting) for the run summary
+ *
+ * Usage:
+ *   const { notion, notionRequest, notionStats } = createNotionClient({ auth: process.env.NOTION_TOKEN });
+ *   const page = await notionRequest(() => notion.pages.retrieve({ page_id: id }));
+ *   console.log(`Notion API: ${formatNotionStats(notionStats)}`);
+ */
+
+const { Client } = require('@notionhq/client');
+
+const DEFAULT_REQUESTS_PER_SECOND = parseFloat(process.env.NOTION_REQUESTS_PER_SECOND) || 3;
+const DEFAULT_BURST = 3;
+const DEFAULT_MAX_RETRIES = 4;
+const BASE_DELAY_MS = 1000;
+const MAX_DELAY_MS = 30000;
+
+// Connection-level failures worth retrying (node and undici error codes)
+const NETWORK_ERROR_CODES = ['ECONNRESET', 'ECONNREFUSED', 'ETIMEDOUT', 'EPIPE', 'EAI_AGAIN', 'ENOTFOUND',
+  'UND_ERR_SOCKET', 'UND_ERR_CONNECT_TIMEOUT', 'notionhq_client_request_timeout'];
+
+/**
+ * Sleep helper
+ */
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Token bucket limiter: take() resolves once a request may start
+ * @param {number} ratePerSecond - Sustained request rate
+ * @param {number} capacity - Burst size
+ */
+function createTokenBucket(ratePerSecond, capacity) {
+  let tokens = capacity;
+  let last = Date.now();
+  let queue = Promise.resolve(0);
+
+  const refill = () => {
+    const now = Date.now();
+    tokens = Math.min(capacity, tokens + ((now - last) / 1000) * ratePerSecond);
+    last = now;
+  };
+
+  // Chained so waiting callers are served in order
+  return {
+    take() {
+      queue = queue.then(async () => {
+        refill();
+        let waited = 0;
+        if (tokens < 1) {
+          waited = Math.ceil(((1 - tokens) / ratePerSecond) * 1000);
+          await sleep(waited);
+          refill();
+        }
+        tokens = Math.max(tokens - 1, 0);
+        return waited;
+      });
+      return queue;
+    },
+  };
+}
+
+/**
+ * Read a header from a Notion error (Headers object or plain object)
+ */
+function errorHeader(error, name) {
+  const headers = error && error.headers;
+  if (!headers) return null;
+  return typeof headers.get === 'function' ? headers.get(name) : headers[name] || headers[name.toLowerCase()] || null;
+}
+
+/**
+ * Classify an error for retrying
+ * @returns {string|null} Reason ('rate limited', 'server error', 'conflict', 'network error') or null
+ */
+function retryReason(error) {
+  if (!error) return null;
+  if (error.code === 'rate_limited' || error.status === 429) return 'rate limited';
+  if (error.code === 'conflict_error' || error.status === 409) return 'conflict';
+  if (typeof error.status === 'number' && error.status >= 500) return 'server error';
+  const code = error.code || (error.cause && error.cause.code);
+  if (NETWORK_ERROR_CODES.includes(code)) return 'network error';
+  if (error.name === 'FetchError' || (error instanceof TypeError && /fetch failed/i.test(error.message))) return 'network error';
+  return null;
+}
+
+/**
+ * Delay before retry `attempt` (1-based): Retry-After when rate limited,
+ * otherwise exponential backoff with jitter (50-100% of the step)
+ */
+function retryDelay(error, attempt, baseDelayMs = BASE_DELAY_MS) {
+  const retryAfter = parseFloat(errorHeader(error, 'retry-after'));
+  if (!isNaN(retryAfter) && retryAfter >= 0) return Math.min(retryAfter * 1000, MAX_DELAY_MS);
+  const step = Math.min(baseDelayMs * Math.pow(2, attempt - 1), MAX_DELAY_MS);
+  return Math.round(step * (0.5 + Math.random() * 0.5));
+}
+
+/**
+ * Create a Notion client and its rate-limited retry wrapper
+ * @param {object} [options]
+ * @param {string} [options.auth] - Notion integration token
+ * @param {object} [options.client] - Existing client (e.g. a test double) instead of a new one
+ * @param {number} [options.requestsPerSecond] - Sustained rate (default: NOTION_REQUESTS_PER_SECOND or 3)
+ * @param {number} [options.burst] - Requests allowed back to back (default: 3)
+ * @param {number} [options.maxRetries] - Retries per call (default: 4)
+ * @param {number} [options.baseDelayMs] - First backoff step (default: 1000)
+ * @returns {object} { notion, notionRequest, notionStats }
+ */
+function createNotionClient(options = {}) {
+  const notion = options.client || new Client({ auth: options.auth });
+  const bucket = createTokenBucket(options.requestsPerSecond || DEFAULT_REQUESTS_PER_SECOND, options.burst || DEFAULT_BURST);
+  const maxRetries = options.maxRetries ?? DEFAULT_MAX_RETRIES;
+  const baseDelayMs = options.baseDelayMs ?? BASE_DELAY_MS;
+
+  const notionStats = { calls: 0, requests: 0, retries: 0, rateLimited: 0, failures: 0, throttledMs: 0, backoffMs: 0 };
+
+  /**
+   * Run a Notion call with rate limiting and retries
+   * @param {function} fn - Returns the Notion call's promise; called once per attempt
+   * @param {number} [retries] - Override the retry count for this call
+   * @throws The error from the last attempt
+   */
+  async function notionRequest(fn, retries = maxRetries) {
+    notionStats.calls++;
+
+    for (let attempt = 0; ; attempt++) {
+      notionStats.throttledMs += await bucket.take();
+      notionStats.requests++;
+
+      try {
+        return await fn();
+      } catch (error) {
+        const reason = retryReason(error);
+        if (reason === 'rate limited') notionStats.rateLimited++;
+
+        if (!reason || attempt >= retries) {
+          notionStats.failures++;
+          error.attempts = attempt + 1;
+          throw error;
+        }
+
+        const delay = retryDelay(error, attempt + 1, baseDelayMs);
+        console.log(`  Notion ${reason}${error.status ? ` (${error.status})` : ''}, retrying in ${delay}ms (${attempt + 1}/${retries})...`);
+        notionStats.retries++;
+        notionStats.backoffMs += delay;
+        await sleep(delay);
+      }
+    }
+  }
+
+  return { notion, notionRequest, notionStats };
+}
+
+/**
+ * One-line summary of the counters for a run summary
+ */
+function formatNotionStats(stats) {
+  const parts = [`${stats.calls} calls`, `${stats.requests} requests`];
+  if (stats.retries > 0) parts.push(`${stats.retries} retries (${stats.rateLimited} rate limited)`);
+  if (stats.failures > 0) parts.push(`${stats.failures} failed`);
+  const waited = Math.round((stats.throttledMs + stats.backoffMs) / 100) / 10;
+  if (waited > 0) parts.push(`${waited}s waiting`);
+  return parts.join(', ');
+}
+
+/**
+ * Plain text of a title or rich text property
+ */
+function readText(property) {
+  if (!property) return '';
+  const parts = property.type === 'title' ? property.title : property.rich_text;
+  return (parts || []).map(t => t.plain_text).join('');
+}
+
+/**
+ * All page IDs in a relation property. Page objects list at most 25 related
+ * pages (has_more is set beyond that), so longer relations are read with the
+ * paginated property endpoint
+ * @param {object} page - Page object from a query or retrieve
+ * @param {string} name - Relation property name
+ * @param {object} client - { notion, notionRequest }
+ * @returns {Promise<string[]>}
+ */
+async function relationIds(page, name, { notion, notionRequest }) {
+  const property = page.properties?.[name];
+  if (!property) return [];
+  if (!property.has_more) return (property.relation || []).map(r => r.id);
+
+  const ids = [];
+  let startCursor;
+  do {
+    const response = await notionRequest(() => notion.pages.properties.retrieve({
+      page_id: page.id,
+      property_id: property.id,
+      ...(startCursor ? { start_cursor: startCursor } : {}),
+    }));
+    ids.push(...(response.results || []).map(item => item.relation.id));
+    startCursor = response.has_more ? response.next_cursor : undefined;
+  } while (startCursor);
+  return ids;
+}
+
+module.exports = {
+  createNotionClient,
+  formatNotionStats,
+  retryReason,
+  readText,
+  relationIds,
+};
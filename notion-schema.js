@@ -0,0 +1,470 @@
+/**
+ * Notion Database Schema
+ *
+ * Declares the properties the scripts read and write on the Trend Monitors
+ * and Signals databases, and diffs that declaration against a live database:
+ *
+ *   add_property  - Property missing from the database (added on apply)
+ *   add_options   - Select / multi-select options missing (added on apply;
+ *                   existing options are always kept)
+ *   rename_title  - The database's title property has another name (renamed on apply)
+ *   conflict      - Property exists with a different type (never changed;
+ *                   fix it in Notion, then apply again)
+ *
+ * Properties in the database that the schema does not declare are left alone.
+ * The applied SCHEMA_VERSION is recorded as a "Schema version: N" line in the
+ * database description, so plan can show which version a database is on.
+ * Bump SCHEMA_VERSION whenever DATABASE_SCHEMAS changes.
+ *
+ * At startup each script runs a preflight (preflightDatabase) that maps every
+ * schema property to the database's actual property name and stops before any
+ * data is fetched if a required property is missing or has the wrong type.
+ * A property can live under another name: built-in aliases (Coherency is also
+ * found as "coherence") and PROPERTY_ALIASES_FILE entries are tried in turn.
+ *
+ * The optional Entities, Events and Tariff Watch databases declare their own
+ * schemas in the same form (entity-store.js, event-store.js, tariff-tracker.js)
+ * and bring them up to date at startup with ensureDatabaseSchema. Relation
+ * properties name their target database (databaseId) when that is known; a
+ * relation to another database is a conflict, and a relation without a
+ * known target is never added.
+ */
+
+const fs = require('fs');
+
+const SCHEMA_VERSION = 2;
+
+const VERSION_LINE = /^Schema version: (\d+).*$/m;
+
+// Property types whose configuration is just {} when creating them
+const SIMPLE_TYPES = ['title', 'rich_text', 'checkbox', 'date', 'url'];
+
+const DATABASE_SCHEMAS = {
+  monitors: {
+    label: 'Trend Monitors',
+    env: 'MONITORS_DATABASE_ID',
+    properties: {
+      monitor_id: { required: true, type: 'title', description: 'Unique identifier for the monitor' },
+      terms: { required: true, type: 'rich_text', description: 'Comma-separated search terms' },
+      active: { required: true, type: 'checkbox', description: 'Whether the monitor is checked' },
+      threshold: { required: true, type: 'number', description: 'Alert threshold percentage' },
+      interval: { required: true, type: 'select', description: 'Check frequency', options: [
+        { name: 'day', color: 'green' },
+        { name: 'week', color: 'blue' },
+        { name: 'month', color: 'purple' },
+      ] },
+      last_check: { required: true, type: 'date', description: 'Last time the monitor was checked' },
+      trend_score: { type: 'number', description: 'Trend score (0-100)' },
+      Coherency: { type: 'number', aliases: ['coherence'], description: 'Coherence score (0-100)' },
+      confidence: { type: 'number', description: 'Confidence (0-100)' },
+      change_percent: { type: 'number', description: 'Change from the previous check' },
+      top_articles: { type: 'rich_text', description: 'Top 3 article titles with links' },
+      source_urls: { type: 'rich_text', description: 'URLs of sources checked' },
+      regions_data: { type: 'rich_text', description: 'Which regions had matches' },
+      summary: { type: 'rich_text', description: 'Brief explanation of what was found' },
+      recommendations: { type: 'rich_text', description: 'Action recommendations' },
+    },
+  },
+  signals: {
+    label: 'Signals',
+    env: 'SIGNALS_DATABASE_ID',
+    properties: {
+      signal_id: { required: true, type: 'title', description: 'Generated signal ID' },
+      entity: { required: true, type: 'rich_text', description: 'Matched keyword or monitor terms' },
+      // Options come from the signal taxonomy (see signalsSchema)
+      signal_type: { required: true, type: 'select', description: 'Signal type', options: [] },
+      content: { required: true, type: 'rich_text', description: 'Article title or alert summary' },
+      source: { required: true, type: 'rich_text', description: 'Article URL or monitor ID' },
+      confidence: { required: true, type: 'number', description: 'Signal confidence (0-1)' },
+      timestamp: { required: true, type: 'date', description: 'Publication date' },
+      processed: { required: true, type: 'checkbox', description: 'Reviewed by a person' },
+      categories: { type: 'multi_select', description: 'Matched keyword categories' },
+      keywords: { type: 'multi_select', description: 'Matched keywords' },
+      docket_number: { type: 'rich_text', description: 'Federal Register docket or document number' },
+      document_type: { type: 'select', description: 'Federal Register document type' },
+      publication_date: { type: 'date', description: 'Federal Register publication date' },
+      comment_deadline: { type: 'date', description: 'Federal Register comment deadline' },
+      effective_date: { type: 'date', description: 'Federal Register effective date' },
+      rate_change: { type: 'checkbox', description: 'Watched HTS code duty rate changed' },
+      last_seen: { type: 'date', description: 'Last run that found the story' },
+      mention_count: { type: 'number', description: 'Source articles found for the story' },
+      // Added by entity-store.js once the Entities database is known
+      entities: { type: 'relation', description: 'Entities mentioned (Entities database)' },
+    },
+  },
+};
+
+/**
+ * Signals schema with signal_type options from the taxonomy
+ * @param {object} taxonomy - From loadTaxonomy()
+ */
+function signalsSchema(taxonomy) {
+  const schema = DATABASE_SCHEMAS.signals;
+  return {
+    ...schema,
+    properties: {
+      ...schema.properties,
+      signal_type: {
+        ...schema.properties.signal_type,
+        options: taxonomy.types.map(type => ({ name: type.name, color: type.color })),
+      },
+    },
+  };
+}
+
+/**
+ * Notion configuration for creating a property
+ */
+function propertyConfig(property) {
+  if (SIMPLE_TYPES.includes(property.type)) return { [property.type]: {} };
+  if (property.type === 'number') return { number: { format: property.format || 'number' } };
+  if (property.type === 'select' || property.type === 'multi_select') {
+    return { [property.type]: { options: (property.options || []).map(option => ({ name: option.name, color: option.color })) } };
+  }
+  if (property.type === 'relation') {
+    return { relation: { database_id: property.databaseId, [property.dual ? 'dual_property' : 'single_property']: {} } };
+  }
+  throw new Error(`Unsupported schema property type "${property.type}"`);
+}
+
+/**
+ * Notion configuration for every property of a schema (to create a database)
+ */
+function propertyConfigs(schema) {
+  return Object.fromEntries(Object.entries(schema.properties).map(([name, property]) => [name, propertyConfig(property)]));
+}
+
+/**
+ * Database ID without dashes, for comparison
+ */
+function compactId(id) {
+  return (id || '').replace(/-/g, '');
+}
+
+/**
+ * Compare a live property with its schema property
+ * @returns {object|null} { expected, actual } if the type differs, or if a
+ *   relation points at another database than the schema names
+ */
+function typeMismatch(live, property) {
+  if (live.type !== property.type) return { expected: property.type, actual: live.type };
+  if (property.type === 'relation' && property.databaseId &&
+    compactId(live.relation?.database_id) !== compactId(property.databaseId)) {
+    return { expected: `relation to ${property.databaseId}`, actual: `relation to ${live.relation?.database_id}` };
+  }
+  return null;
+}
+
+/**
+ * Plain text of the database description
+ */
+function descriptionText(database) {
+  return (database.description || []).map(part => part.plain_text || part.text?.content || '').join('');
+}
+
+/**
+ * Schema version recorded in a database description, or null
+ */
+function recordedVersion(database) {
+  const match = descriptionText(database).match(VERSION_LINE);
+  return match ? parseInt(match[1], 10) : null;
+}
+
+/**
+ * Names a schema property may have in a database: configured aliases first,
+ * then the declared name, then the schema's built-in aliases
+ */
+function candidateNames(name, property, aliases = {}) {
+  const configured = aliases[name] ? [].concat(aliases[name]) : [];
+  return [...new Set([...configured, name, ...(property.aliases || [])])];
+}
+
+/**
+ * Name of the database property a schema property maps to, or null
+ */
+function findProperty(existing, name, property, aliases) {
+  return candidateNames(name, property, aliases).find(candidate => existing[candidate]) || null;
+}
+
+/**
+ * Diff a schema against a live database
+ * @param {object} schema - Entry of DATABASE_SCHEMAS (or signalsSchema())
+ * @param {object} database - From notion.databases.retrieve()
+ * @param {object} [aliases] - Property aliases for this database (see loadPropertyAliases)
+ * @returns {object} { changes, conflicts, version } - changes are add_property,
+ *   add_options and rename_title entries; conflicts are type mismatches
+ */
+function planSchema(schema, database, aliases = {}) {
+  const existing = database.properties || {};
+  const changes = [];
+  const conflicts = [];
+
+  for (const [name, property] of Object.entries(schema.properties)) {
+    const actual = findProperty(existing, name, property, aliases);
+
+    if (property.type === 'title') {
+      const titleName = Object.keys(existing).find(key => existing[key].type === 'title');
+      if (actual && existing[actual].type !== 'title') {
+        conflicts.push({ name: actual, expected: 'title', actual: existing[actual].type });
+      } else if (!actual && titleName) {
+        changes.push({ action: 'rename_title', name, from: titleName });
+      }
+      continue;
+    }
+
+    if (!actual) {
+      // A relation can only be added once its target database is known
+      if (property.type !== 'relation' || property.databaseId) {
+        changes.push({ action: 'add_property', name, type: property.type });
+      }
+      continue;
+    }
+    const live = existing[actual];
+    const mismatch = typeMismatch(live, property);
+    if (mismatch) {
+      conflicts.push({ name: actual, ...mismatch });
+      continue;
+    }
+
+    if (property.options?.length > 0) {
+      const liveOptions = live[live.type].options || [];
+      const liveNames = liveOptions.map(option => option.name);
+      const missing = property.options.filter(option => !liveNames.includes(option.name));
+      if (missing.length > 0) {
+        changes.push({ action: 'add_options', name: actual, type: property.type, options: missing, existing: liveOptions });
+      }
+    }
+  }
+
+  return { changes, conflicts, version: recordedVersion(database) };
+}
+
+/**
+ * Map schema properties to the database's actual property names
+ * @param {object} schema - Entry of DATABASE_SCHEMAS (or signalsSchema())
+ * @param {object} database - From notion.databases.retrieve()
+ * @param {object} [aliases] - Property aliases for this database
+ * @returns {object} { fields, missing, mistyped } - fields maps each schema
+ *   name to the property to read and write; properties that are missing or
+ *   have the wrong type are left out of fields and listed instead
+ */
+function resolveFields(schema, database, aliases = {}) {
+  const existing = database.properties || {};
+  const titleName = Object.keys(existing).find(key => existing[key].type === 'title');
+  const fields = {};
+  const missing = [];
+  const mistyped = [];
+
+  for (const [name, property] of Object.entries(schema.properties)) {
+    const required = Boolean(property.required);
+    // A database has exactly one title property, whatever it is called
+    const actual = findProperty(existing, name, property, aliases) || (property.type === 'title' ? titleName : null);
+
+    if (!actual) {
+      missing.push({ name, type: property.type, required, candidates: candidateNames(name, property, aliases) });
+    } else if (typeMismatch(existing[actual], property)) {
+      mistyped.push({ name, property: actual, ...typeMismatch(existing[actual], property), required });
+    } else {
+      fields[name] = actual;
+    }
+  }
+
+  return { fields, missing, mistyped };
+}
+
+/**
+ * Describe resolveFields() problems
+ * @returns {object} { errors, warnings } - errors for required properties
+ *   (missing or mistyped), warnings for mistyped optional ones. Missing
+ *   optional properties are left to the caller, which knows what they mean.
+ */
+function preflightProblems(schema, result) {
+  const errors = [];
+  const warnings = [];
+
+  for (const entry of result.missing.filter(entry => entry.required)) {
+    const lookedFor = entry.candidates.length > 1 ? ` (looked for ${entry.candidates.map(c => `"${c}"`).join(', ')})` : '';
+    errors.push(`${schema.label} database has no "${entry.name}" ${entry.type} property${lookedFor}`);
+  }
+  for (const entry of result.mistyped) {
+    const forField = entry.property !== entry.name ? ` (used for "${entry.name}")` : '';
+    (entry.required ? errors : warnings).push(`${schema.label} database property "${entry.property}"${forField} is ${entry.actual}, expected ${entry.expected}`);
+  }
+
+  return { errors, warnings };
+}
+
+/**
+ * Startup preflight: retrieve a database, resolve its fields and stop if a
+ * required property is missing or has the wrong type. Mistyped optional
+ * properties are logged and left out of fields, so they are not written.
+ * @param {object} deps - { notion, notionRequest }
+ * @param {object} schema - Entry of DATABASE_SCHEMAS (or signalsSchema())
+ * @param {string} databaseId - Database to check
+ * @param {object} [aliases] - Property aliases for this database
+ * @returns {Promise<object>} { database, fields, missing, mistyped }
+ * @throws {Error} If a required property is missing or mistyped (each problem is logged first)
+ */
+async function preflightDatabase({ notion, notionRequest }, schema, databaseId, aliases = {}) {
+  const database = await notionRequest(() => notion.databases.retrieve({ database_id: databaseId }));
+  const result = { database, ...resolveFields(schema, database, aliases) };
+  const { errors, warnings } = preflightProblems(schema, result);
+
+  for (const warning of warnings) console.error(`  Warning: ${warning} - it will not be written`);
+  if (errors.length > 0) {
+    for (const error of errors) console.error(`  Error: ${error}`);
+    throw new Error(`${schema.label} database schema check failed (${errors.length} problem(s); run "npm run schema:plan" to see the fixes)`);
+  }
+  return result;
+}
+
+/**
+ * Load property aliases from PROPERTY_ALIASES_FILE:
+ *   { "monitors": { "Coherency": "Coherence Score" }, "signals": { "source": ["URL", "Link"] } }
+ * @param {string} [file] - JSON alias file
+ * @returns {object} { aliases, source, error } - aliases keyed by database
+ *   (monitors, signals); empty when no file is given or it is invalid
+ */
+function loadPropertyAliases(file) {
+  const empty = Object.fromEntries(Object.keys(DATABASE_SCHEMAS).map(key => [key, {}]));
+  if (!file) return { aliases: empty, source: 'none', error: null };
+
+  try {
+    const config = JSON.parse(fs.readFileSync(file, 'utf8'));
+    const aliases = { ...empty };
+    for (const [key, entries] of Object.entries(config)) {
+      const schema = DATABASE_SCHEMAS[key];
+      if (!schema) throw new Error(`unknown database "${key}" (expected ${Object.keys(DATABASE_SCHEMAS).join(', ')})`);
+      for (const [name, value] of Object.entries(entries || {})) {
+        if (!schema.properties[name]) throw new Error(`"${key}" has no schema property "${name}"`);
+        const names = [].concat(value);
+        if (names.length === 0 || names.some(alias => typeof alias !== 'string' || !alias)) {
+          throw new Error(`"${key}.${name}" must be a property name or a list of names`);
+        }
+        aliases[key][name] = names;
+      }
+    }
+    return { aliases, source: file, error: null };
+  } catch (error) {
+    return { aliases: empty, source: file, error: `${file}: ${error.message}` };
+  }
+}
+
+/**
+ * Describe a planned change or conflict for logging
+ */
+function describeChange(change) {
+  switch (change.action) {
+    case 'add_property':
+      return `[ADD] ${change.name} (${change.type})`;
+    case 'add_options':
+      return `[OPTIONS] ${change.name}: add ${change.options.map(option => option.name).join(', ')}`;
+    case 'rename_title':
+      return `[RENAME] title "${change.from}" -> "${change.name}"`;
+    default:
+      return `[CONFLICT] ${change.name} is ${change.actual}, expected ${change.expected}`;
+  }
+}
+
+/**
+ * Database description with the schema version line set
+ */
+function versionedDescription(database, version) {
+  const line = `Schema version: ${version} (applied ${new Date().toISOString().split('T')[0]})`;
+  const text = descriptionText(database);
+  const updated = VERSION_LINE.test(text) ? text.replace(VERSION_LINE, line) : (text ? `${text.trimEnd()}\n${line}` : line);
+  return [{ type: 'text', text: { content: updated.substring(0, 2000) } }];
+}
+
+/**
+ * Property updates (databases.update) for a plan's changes
+ */
+function schemaUpdates(schema, plan) {
+  const properties = {};
+  for (const change of plan.changes) {
+    if (change.action === 'add_property') {
+      properties[change.name] = propertyConfig(schema.properties[change.name]);
+    } else if (change.action === 'add_options') {
+      // Existing options must be listed or Notion removes them; their colors can't be changed
+      properties[change.name] = {
+        [change.type]: {
+          options: [
+            ...change.existing.map(option => ({ id: option.id, name: option.name })),
+            ...change.options.map(option => ({ name: option.name, color: option.color })),
+          ],
+        },
+      };
+    } else if (change.action === 'rename_title') {
+      properties[change.from] = { name: change.name };
+    }
+  }
+  return properties;
+}
+
+/**
+ * Apply a plan: add properties and options, rename the title property and
+ * record SCHEMA_VERSION. Conflicts are not touched.
+ * @param {object} schema - Schema the plan was made from
+ * @param {object} database - From notion.databases.retrieve()
+ * @param {object} plan - From planSchema()
+ * @param {object} deps - { notion, notionRequest }
+ * @returns {Promise<boolean>} True if the database was updated
+ */
+async function applySchema(schema, database, plan, { notion, notionRequest }) {
+  const properties = schemaUpdates(schema, plan);
+  const recordVersion = plan.conflicts.length === 0 && plan.version !== SCHEMA_VERSION;
+  if (Object.keys(properties).length === 0 && !recordVersion) return false;
+
+  await notionRequest(() => notion.databases.update({
+    database_id: database.id,
+    ...(Object.keys(properties).length > 0 ? { properties } : {}),
+    ...(recordVersion ? { description: versionedDescription(database, SCHEMA_VERSION) } : {}),
+  }));
+  return true;
+}
+
+/**
+ * Bring a database up to a schema at startup: add missing properties and
+ * options and rename the title property (no schema version is recorded).
+ * Used by the stores that manage their own databases.
+ * @param {object} deps - { notion, notionRequest }
+ * @param {object} schema - { label, properties } (relations need databaseId to be added)
+ * @param {string} databaseId - Database to update
+ * @param {object} [options]
+ * @param {object} [options.aliases] - Property aliases for the database
+ * @param {object} [options.database] - Database already retrieved (skips a request)
+ * @returns {Promise<object>} { added (names of properties added or changed), fields }
+ * @throws {Error} If a property has the wrong type (nothing is changed)
+ */
+async function ensureDatabaseSchema({ notion, notionRequest }, schema, databaseId, options = {}) {
+  const aliases = options.aliases || {};
+  let database = options.database || await notionRequest(() => notion.databases.retrieve({ database_id: databaseId }));
+
+  const plan = planSchema(schema, database, aliases);
+  if (plan.conflicts.length > 0) {
+    const conflict = plan.conflicts[0];
+    throw new Error(`${schema.label} property "${conflict.name}" is a ${conflict.actual}, expected a ${conflict.expected}`);
+  }
+  if (plan.changes.length > 0) {
+    database = await notionRequest(() => notion.databases.update({
+      database_id: databaseId,
+      properties: schemaUpdates(schema, plan),
+    }));
+  }
+
+  return { added: plan.changes.map(change => change.name), fields: resolveFields(schema, database, aliases).fields };
+}
+
+module.exports = {
+  SCHEMA_VERSION,
+  DATABASE_SCHEMAS,
+  signalsSchema,
+  propertyConfigs,
+  planSchema,
+  describeChange,
+  applySchema,
+  ensureDatabaseSchema,
+  resolveFields,
+  preflightDatabase,
+  loadPropertyAliases,
+};
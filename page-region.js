@@ -0,0 +1,282 @@
+/**
+ * Managed Page Regions
+ *
+ * Keeps generated content confined to a region of a Notion page between two
+ * marker blocks, so text that people add above or below it survives the next
+ * run. The region is diffed against the newly rendered blocks and updated in
+ * place: unchanged blocks are kept, changed text blocks are updated, and only
+ * the rest is deleted or inserted (with the append "after" parameter).
+ *
+ * A page without markers gets a new region appended at the end; its existing
+ * content is left alone, except for content written before the page had
+ * markers (found by the caller's findLegacy), which the region replaces in
+ * place. If the end marker has been deleted the region's
+ * extent is unknown, so the page is not changed (the caller is told, and the
+ * marker has to be put back or the start marker removed).
+ */
+
+const PAGE_SIZE = 100;
+const MAX_APPEND_BLOCKS = 100;
+
+// Block types whose content can be changed with blocks.update
+const UPDATABLE_TYPES = ['paragraph', 'heading_1', 'heading_2', 'heading_3', 'bulleted_list_item',
+  'numbered_list_item', 'quote', 'callout', 'toggle', 'to_do', 'code'];
+
+const ANNOTATIONS = ['bold', 'italic', 'strikethrough', 'underline', 'code'];
+
+/**
+ * Marker blocks that open and close a region
+ * @param {string} label - Region name shown in the markers (e.g. "Trend report")
+ * @returns {object} { start, end } paragraph blocks
+ */
+function regionMarkers(label) {
+  const marker = content => ({
+    type: 'paragraph',
+    paragraph: {
+      rich_text: [{ text: { content }, annotations: { italic: true, color: 'gray' } }],
+      color: 'default',
+    },
+  });
+  return {
+    start: marker(`▼ ${label} (updated automatically - add notes above or below, not in between)`),
+    end: marker(`▲ End of ${label.toLowerCase()}`),
+  };
+}
+
+/**
+ * Plain text of a block (request or API format)
+ */
+function blockText(block) {
+  return ((block[block.type] || {}).rich_text || [])
+    .map(item => item.plain_text ?? item.text?.content ?? '')
+    .join('');
+}
+
+/**
+ * Comparable form of rich text: adjacent items with the same formatting are
+ * merged, since Notion may store them as one
+ */
+function richTextKey(items) {
+  const segments = [];
+  for (const item of items || []) {
+    if (item.type && item.type !== 'text') {
+      segments.push({ raw: JSON.stringify(item[item.type]) });
+      continue;
+    }
+    const content = item.text?.content ?? item.plain_text ?? '';
+    if (content === '') continue;
+    const annotations = item.annotations || {};
+    const format = [
+      item.text?.link?.url || '',
+      ...ANNOTATIONS.filter(name => annotations[name]),
+      annotations.color || 'default',
+    ].join('|');
+    const previous = segments[segments.length - 1];
+    if (previous && previous.format === format) previous.content += content;
+    else segments.push({ content, format });
+  }
+  return segments;
+}
+
+/**
+ * Key that is equal for a rendered block and the stored block it produced
+ * (null for blocks with children, which are never compared)
+ */
+function blockKey(block) {
+  const body = block[block.type] || {};
+  if (block.has_children || body.children?.length > 0) return null;
+  return JSON.stringify([
+    block.type,
+    richTextKey(body.rich_text),
+    body.color || 'default',
+    body.icon?.emoji || null,
+    body.checked || false,
+    body.language || null,
+  ]);
+}
+
+/**
+ * Plan the operations that turn the current region blocks into the new ones
+ * Unchanged blocks are matched first (longest common subsequence); between
+ * them, blocks of the same updatable type are paired and updated in place.
+ * @param {object[]} current - Stored blocks inside the region (with id)
+ * @param {object[]} blocks - Newly rendered blocks
+ * @returns {object[]} Operations in final page order:
+ *   { op: 'keep', id }, { op: 'update', id, block }, { op: 'insert', block }, { op: 'delete', id }
+ */
+function planRegionUpdate(current, blocks) {
+  const oldKeys = current.map(blockKey);
+  const newKeys = blocks.map(blockKey);
+
+  // Longest common subsequence of unchanged blocks
+  const lengths = Array.from({ length: current.length + 1 }, () => new Array(blocks.length + 1).fill(0));
+  for (let i = current.length - 1; i >= 0; i--) {
+    for (let j = blocks.length - 1; j >= 0; j--) {
+      lengths[i][j] = oldKeys[i] !== null && oldKeys[i] === newKeys[j]
+        ? lengths[i + 1][j + 1] + 1
+        : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+    }
+  }
+
+  const operations = [];
+  const pairGap = (oldGap, newGap) => {
+    newGap.forEach((block, index) => {
+      const stored = oldGap[index];
+      if (stored && stored.type === block.type && UPDATABLE_TYPES.includes(block.type) &&
+        !stored.has_children && !(block[block.type].children?.length > 0)) {
+        operations.push({ op: 'update', id: stored.id, block });
+      } else {
+        if (stored) operations.push({ op: 'delete', id: stored.id });
+        operations.push({ op: 'insert', block });
+      }
+    });
+    for (const stored of oldGap.slice(newGap.length)) operations.push({ op: 'delete', id: stored.id });
+  };
+
+  let i = 0;
+  let j = 0;
+  let oldGap = [];
+  let newGap = [];
+  while (i < current.length || j < blocks.length) {
+    if (i < current.length && j < blocks.length && oldKeys[i] !== null && oldKeys[i] === newKeys[j]) {
+      pairGap(oldGap, newGap);
+      oldGap = [];
+      newGap = [];
+      operations.push({ op: 'keep', id: current[i].id });
+      i++;
+      j++;
+    } else if (j >= blocks.length || (i < current.length && lengths[i + 1][j] >= lengths[i][j + 1])) {
+      oldGap.push(current[i++]);
+    } else {
+      newGap.push(blocks[j++]);
+    }
+  }
+  pairGap(oldGap, newGap);
+
+  return operations;
+}
+
+/**
+ * List all top-level blocks of a page
+ */
+async function listChildren(pageId, { notion, notionRequest }) {
+  const children = [];
+  let startCursor;
+  do {
+    const response = await notionRequest(() => notion.blocks.children.list({
+      block_id: pageId,
+      page_size: PAGE_SIZE,
+      ...(startCursor ? { start_cursor: startCursor } : {}),
+    }));
+    children.push(...response.results);
+    startCursor = response.has_more ? response.next_cursor : undefined;
+  } while (startCursor);
+  return children;
+}
+
+/**
+ * Append blocks after a given block (or at the end), in batches of 100
+ * @returns {Promise<string|null>} ID of the last block appended
+ */
+async function appendAfter(pageId, after, blocks, { notion, notionRequest }) {
+  let anchor = after;
+  for (let i = 0; i < blocks.length; i += MAX_APPEND_BLOCKS) {
+    const response = await notionRequest(() => notion.blocks.children.append({
+      block_id: pageId,
+      children: blocks.slice(i, i + MAX_APPEND_BLOCKS),
+      ...(anchor ? { after: anchor } : {}),
+    }));
+    const results = response.results || [];
+    anchor = results.length > 0 ? results[results.length - 1].id : anchor;
+  }
+  return anchor;
+}
+
+/**
+ * Replace the content of a page's managed region with new blocks
+ * @param {string} pageId - Notion page
+ * @param {object[]} blocks - Rendered blocks for the region
+ * @param {object} options - { notion, notionRequest, label (region name for the markers),
+ *   findLegacy (optional: (children) => { start, end } indexes of unmarked content
+ *   the new region replaces, end exclusive, or null) }
+ * @returns {Promise<object>} { created (region was added), legacy (it replaced unmarked
+ *   content), missingEnd (start marker without an end marker - nothing was changed),
+ *   kept, updated, inserted, deleted }
+ */
+async function syncPageRegion(pageId, blocks, { notion, notionRequest, label, findLegacy }) {
+  const client = { notion, notionRequest };
+  const markers = regionMarkers(label);
+  const stats = { created: false, legacy: false, missingEnd: false, kept: 0, updated: 0, inserted: 0, deleted: 0 };
+
+  const children = await listChildren(pageId, client);
+  const start = children.findIndex(block => block.type === 'paragraph' && blockText(block) === blockText(markers.start));
+  const end = start === -1 ? -1 : children.findIndex((block, index) =>
+    index > start && block.type === 'paragraph' && blockText(block) === blockText(markers.end));
+
+  if (start === -1) {
+    // Blocks can't be inserted before the first one, so the region goes right
+    // after the legacy content, which is then deleted (same place on the page)
+    const legacy = findLegacy ? findLegacy(children) : null;
+    await appendAfter(pageId, legacy ? children[legacy.end - 1].id : null, [markers.start, ...blocks, markers.end], client);
+    stats.created = true;
+    stats.inserted = blocks.length;
+    if (legacy) {
+      for (const block of children.slice(legacy.start, legacy.end)) {
+        await notionRequest(() => notion.blocks.delete({ block_id: block.id }));
+        stats.deleted++;
+      }
+      stats.legacy = true;
+    }
+    return stats;
+  }
+
+  // Without an end marker (deleted by hand) there is no telling where the
+  // region stops, and guessing could delete notes written below it
+  if (end === -1) {
+    stats.missingEnd = true;
+    return stats;
+  }
+
+  const operations = planRegionUpdate(children.slice(start + 1, end), blocks);
+
+  for (const operation of operations.filter(o => o.op === 'delete')) {
+    await notionRequest(() => notion.blocks.delete({ block_id: operation.id }));
+    stats.deleted++;
+  }
+
+  let anchor = children[start].id;
+  let pending = [];
+  for (const operation of operations) {
+    if (operation.op === 'insert') {
+      pending.push(operation.block);
+      continue;
+    }
+    if (operation.op === 'delete') continue;
+
+    if (pending.length > 0) {
+      await appendAfter(pageId, anchor, pending, client);
+      stats.inserted += pending.length;
+      pending = [];
+    }
+    if (operation.op === 'update') {
+      const { type } = operation.block;
+      await notionRequest(() => notion.blocks.update({ block_id: operation.id, [type]: operation.block[type] }));
+      stats.updated++;
+    } else {
+      stats.kept++;
+    }
+    anchor = operation.id;
+  }
+  if (pending.length > 0) {
+    await appendAfter(pageId, anchor, pending, client);
+    stats.inserted += pending.length;
+  }
+
+  return stats;
+}
+
+module.exports = {
+  regionMarkers,
+  planRegionUpdate,
+  syncPageRegion,
+};
@@ -0,0 +1,300 @@
+/**
+ * Page Templates
+ *
+ * Renders Notion page bodies (signal pages, trend alerts, monitor reports)
+ * from block templates instead of hand-built arrays, so layouts can be changed
+ * without touching the pipeline. Built-in templates live in templates/; set
+ * PAGE_TEMPLATES_DIR to a directory of overrides with the same file names.
+ * A file named <template>.<variant>.json (e.g. signal.RECALL.json) replaces
+ * the template for one signal type only. YAML files (.yaml/.yml) work when
+ * the js-yaml package is installed.
+ *
+ * A template file is { "blocks": [...] } where each node is one of:
+ *
+ *   Notion block       { "type": "heading_3", "heading_3": { "rich_text": [...] } }
+ *   Short block        { "type": "heading_3", "text": "Summary" }
+ *                      (text becomes rich_text; "icon": "💡" becomes an emoji icon)
+ *   Conditional        { "if": "event", "then": [...], "else": [...] }
+ *   Loop               { "each": "articles", "as": "article", "limit": 5, "blocks": [...] }
+ *   Insert             { "insert": "sourceBlocks" }  (blocks built by the pipeline)
+ *
+ * Strings may contain {{placeholders}} with dotted paths and filters:
+ * {{article.title}}, {{keywords | join}}, {{name | upper}}, {{text | truncate:100}},
+ * {{value | default:N/A}}. Conditions are a path (true when set and non-empty),
+ * "!path", or a comparison such as "trendScore >= 70" or "signalType == RECALL".
+ * Inside a loop, {{loop.index}} is the 1-based position.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const BUILT_IN_DIR = path.join(__dirname, 'templates');
+const TEMPLATE_EXTENSIONS = ['.json', '.yaml', '.yml'];
+const MAX_TEXT_LENGTH = 2000;
+
+const FILTERS = {
+  join: (value, separator = ', ') => (Array.isArray(value) ? value.join(separator) : value),
+  upper: value => String(value).toUpperCase(),
+  lower: value => String(value).toLowerCase(),
+  capitalize: value => String(value).charAt(0).toUpperCase() + String(value).slice(1),
+  truncate: (value, length) => String(value).substring(0, parseInt(length, 10) || MAX_TEXT_LENGTH),
+  default: (value, fallback = '') => (isEmpty(value) ? fallback : value),
+};
+
+const COMPARISON = /^\s*([\w.]+)\s*(==|!=|>=|<=|>|<)\s*(.+?)\s*$/;
+
+/**
+ * True for undefined, null, '', false and empty arrays
+ */
+function isEmpty(value) {
+  return value === undefined || value === null || value === '' || value === false || (Array.isArray(value) && value.length === 0);
+}
+
+/**
+ * Resolve a dotted path ("article.title") against the data object
+ */
+function resolvePath(data, dotted) {
+  return dotted.split('.').reduce((value, key) => (value === undefined || value === null ? undefined : value[key]), data);
+}
+
+/**
+ * Replace {{path | filter:arg}} placeholders in a string
+ */
+function renderString(template, data) {
+  return template.replace(/\{\{\s*([^}]+?)\s*\}\}/g, (_, expression) => {
+    const [pathPart, ...filterParts] = expression.split('|').map(part => part.trim());
+    let value = resolvePath(data, pathPart);
+    for (const filterPart of filterParts) {
+      const separator = filterPart.indexOf(':');
+      const name = separator === -1 ? filterPart : filterPart.substring(0, separator);
+      const arg = separator === -1 ? undefined : filterPart.substring(separator + 1);
+      if (FILTERS[name] && (name === 'default' || !isEmpty(value))) value = FILTERS[name](value, arg);
+    }
+    return isEmpty(value) ? '' : String(value);
+  });
+}
+
+/**
+ * Evaluate an "if" condition
+ */
+function evaluateCondition(condition, data) {
+  const trimmed = condition.trim();
+  if (trimmed.startsWith('!')) return !evaluateCondition(trimmed.substring(1), data);
+
+  const comparison = trimmed.match(COMPARISON);
+  if (!comparison) return !isEmpty(resolvePath(data, trimmed));
+
+  const [, left, operator, rightText] = comparison;
+  const value = resolvePath(data, left);
+  const right = rightText.replace(/^['"]|['"]$/g, '');
+  const numeric = typeof value === 'number' && !isNaN(parseFloat(right));
+  const a = numeric ? value : String(value ?? '');
+  const b = numeric ? parseFloat(right) : right;
+
+  switch (operator) {
+    case '==': return a === b;
+    case '!=': return a !== b;
+    case '>=': return a >= b;
+    case '<=': return a <= b;
+    case '>': return a > b;
+    default: return a < b;
+  }
+}
+
+/**
+ * Render a value (string, array or object) with placeholders filled in
+ */
+function renderValue(value, data) {
+  if (typeof value === 'string') return renderString(value, data);
+  if (Array.isArray(value)) return value.map(item => renderValue(item, data));
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, renderValue(item, data)]));
+  }
+  return value;
+}
+
+/**
+ * Expand rich text shorthand: a string, or items that are strings or
+ * { text, link, bold, italic, code, color } objects (raw Notion items pass through)
+ */
+function richText(value, data) {
+  const items = Array.isArray(value) ? value : [value];
+  return items.map(item => {
+    if (typeof item === 'string') return { text: { content: renderString(item, data) } };
+    if (typeof item.text === 'string') {
+      const link = item.link ? renderString(item.link, data) : null;
+      const annotations = {};
+      for (const key of ['bold', 'italic', 'code', 'strikethrough', 'underline', 'color']) {
+        if (item[key] !== undefined) annotations[key] = item[key];
+      }
+      return {
+        text: { content: renderString(item.text, data), ...(link ? { link: { url: link } } : {}) },
+        ...(Object.keys(annotations).length > 0 ? { annotations } : {}),
+      };
+    }
+    return renderValue(item, data);
+  });
+}
+
+/**
+ * Expand a short block ({ type, text, icon, ... }) into a Notion block
+ */
+function renderBlock(node, data) {
+  if (node[node.type] !== undefined) return renderValue(node, data);
+
+  const { type, text, icon, ...rest } = node;
+  const body = renderValue(rest, data);
+  if (text !== undefined) body.rich_text = richText(text, data);
+  if (icon !== undefined) body.icon = typeof icon === 'string' ? { type: 'emoji', emoji: renderString(icon, data) } : renderValue(icon, data);
+  return { type, [type]: body };
+}
+
+/**
+ * Clamp text content to Notion's 2000 character limit
+ */
+function clampText(value) {
+  if (Array.isArray(value)) return value.map(clampText);
+  if (!value || typeof value !== 'object') return value;
+  const clamped = Object.fromEntries(Object.entries(value).map(([key, item]) => [key, clampText(item)]));
+  if (clamped.text && typeof clamped.text.content === 'string') {
+    clamped.text = { ...clamped.text, content: clamped.text.content.substring(0, MAX_TEXT_LENGTH) };
+  }
+  return clamped;
+}
+
+/**
+ * Render template nodes into Notion blocks
+ * @param {Array} nodes - Template blocks (see module docs)
+ * @param {object} data - Values for placeholders, conditions, loops and inserts
+ * @returns {Array} Notion blocks
+ */
+function renderBlocks(nodes, data) {
+  const blocks = [];
+
+  for (const node of nodes) {
+    if (node.if !== undefined) {
+      blocks.push(...renderBlocks(evaluateCondition(node.if, data) ? node.then || [] : node.else || [], data));
+    } else if (node.each !== undefined) {
+      const items = resolvePath(data, node.each);
+      const list = Array.isArray(items) ? items.slice(0, node.limit || items.length) : [];
+      list.forEach((item, index) => {
+        const scope = { ...data, [node.as || 'item']: item, loop: { index: index + 1, first: index === 0, last: index === list.length - 1 } };
+        blocks.push(...renderBlocks(node.blocks, scope));
+      });
+    } else if (node.insert !== undefined) {
+      const inserted = resolvePath(data, node.insert);
+      if (Array.isArray(inserted)) blocks.push(...inserted);
+    } else {
+      blocks.push(renderBlock(node, data));
+    }
+  }
+
+  return clampText(blocks);
+}
+
+/**
+ * Check template nodes for structural mistakes
+ * @throws {Error} Describing the first invalid node
+ */
+function validateNodes(nodes, where) {
+  if (!Array.isArray(nodes)) throw new Error(`${where} must be an array of blocks`);
+  nodes.forEach((node, index) => {
+    const at = `${where}[${index}]`;
+    if (!node || typeof node !== 'object') throw new Error(`${at} must be an object`);
+    if (node.if !== undefined) {
+      if (typeof node.if !== 'string') throw new Error(`${at}.if must be a string`);
+      validateNodes(node.then || [], `${at}.then`);
+      validateNodes(node.else || [], `${at}.else`);
+    } else if (node.each !== undefined) {
+      validateNodes(node.blocks, `${at}.blocks`);
+    } else if (node.insert === undefined && typeof node.type !== 'string') {
+      throw new Error(`${at} needs a "type" (or "if", "each", "insert")`);
+    }
+  });
+}
+
+/**
+ * Parse a template file
+ * @returns {Array} Template nodes
+ */
+function readTemplateFile(file) {
+  const raw = fs.readFileSync(file, 'utf8');
+  let parsed;
+  if (path.extname(file) === '.json') {
+    parsed = JSON.parse(raw);
+  } else {
+    let yaml;
+    try {
+      yaml = require('js-yaml');
+    } catch {
+      throw new Error('YAML templates need the js-yaml package (npm install js-yaml)');
+    }
+    parsed = yaml.load(raw);
+  }
+
+  const nodes = Array.isArray(parsed) ? parsed : parsed?.blocks;
+  validateNodes(nodes, 'blocks');
+  return nodes;
+}
+
+/**
+ * Read every template file in a directory into `templates`
+ */
+function readTemplateDir(dir, templates, sources, errors) {
+  for (const file of fs.readdirSync(dir).sort()) {
+    const extension = path.extname(file);
+    if (!TEMPLATE_EXTENSIONS.includes(extension)) continue;
+    const name = path.basename(file, extension);
+    try {
+      templates[name] = readTemplateFile(path.join(dir, file));
+      sources[name] = path.join(dir, file);
+    } catch (error) {
+      errors.push(`${path.join(dir, file)}: ${error.message}`);
+    }
+  }
+}
+
+/**
+ * Load the built-in templates and any overrides
+ * @param {string} [overrideDir] - Directory of template overrides (PAGE_TEMPLATES_DIR)
+ * @returns {object} { templates, overrides, errors } - overrides lists the
+ *   template names loaded from overrideDir; invalid files keep the built-in
+ */
+function loadPageTemplates(overrideDir) {
+  const templates = {};
+  const sources = {};
+  const errors = [];
+
+  readTemplateDir(BUILT_IN_DIR, templates, sources, errors);
+  if (overrideDir) {
+    try {
+      readTemplateDir(overrideDir, templates, sources, errors);
+    } catch (error) {
+      errors.push(`${overrideDir}: ${error.message}`);
+    }
+  }
+
+  const overrides = Object.keys(sources).filter(name => !sources[name].startsWith(BUILT_IN_DIR + path.sep));
+  return { templates, overrides, errors };
+}
+
+/**
+ * Render a named template, preferring its variant (e.g. signal.RECALL)
+ * @param {object} templates - From loadPageTemplates()
+ * @param {string} name - Template name (signal, trend-alert, monitor-report)
+ * @param {string|null} variant - Variant such as the signal type
+ * @param {object} data - Template data
+ * @returns {Array} Notion blocks
+ * @throws {Error} If the template does not exist
+ */
+function renderPageTemplate(templates, name, variant, data) {
+  const nodes = (variant && templates[`${name}.${variant}`]) || templates[name];
+  if (!nodes) throw new Error(`Page template "${name}" not found`);
+  return renderBlocks(nodes, data);
+}
+
+module.exports = {
+  loadPageTemplates,
+  renderBlocks,
+  renderPageTemplate,
+};
@@ -0,0 +1,232 @@
+/**
+ * Scan Reports
+ *
+ * Writes the full result of a scanner run (--output=FILE) for offline review:
+ * every fetched article, the keywords it matched, the story it was grouped
+ * into, the duplicate / confidence decision and the signal that was (or
+ * would be) created. The format follows the file extension:
+ *
+ *   .json     - Full report, stable order (diff two runs before going live)
+ *   .csv      - One row per fetched article
+ *   .md       - Summary, stories and articles as Markdown tables
+ *
+ * Decisions: no_match, merged (grouped into another article's story),
+ * below_confidence, duplicate, would_update (dry run), updated (new sources
+ * added to an existing signal), would_create (dry run), created, failed.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const REPORT_FORMATS = {
+  '.json': 'json',
+  '.csv': 'csv',
+  '.md': 'markdown',
+  '.markdown': 'markdown',
+};
+
+const DECISIONS = ['no_match', 'merged', 'below_confidence', 'duplicate', 'would_update', 'updated', 'would_create', 'created', 'failed'];
+
+/**
+ * Report format for an output file, or null if the extension is not supported
+ */
+function reportFormat(file) {
+  return REPORT_FORMATS[path.extname(file || '').toLowerCase()] || null;
+}
+
+/**
+ * ISO date or null
+ */
+function isoOrNull(date) {
+  return date instanceof Date && !isNaN(date) ? date.toISOString() : null;
+}
+
+/**
+ * Describe the signal for a story (the fields written to Notion)
+ */
+function describeSignal(story, result) {
+  return {
+    pageId: result.pageId || null,
+    title: story.title,
+    link: story.link,
+    entity: story.matchedKeyword,
+    signalType: story.signalType,
+    confidence: story.confidence,
+    categories: story.matchCategories,
+    keywords: story.matchedKeywords,
+    sources: story.sources.map(source => source.link),
+    entities: (story.entities || []).map(entity => `${entity.name} (${entity.type})`),
+    event: story.event ? story.event.key : null,
+    htsCodes: (story.tariffMentions || []).map(mention => mention.code),
+  };
+}
+
+/**
+ * Assemble the run report
+ * @param {object} run
+ * @param {Array} run.articles - Every fetched article
+ * @param {Array} run.matchedArticles - Articles that matched a keyword (from matchArticles)
+ * @param {Array} run.stories - Merged stories (from clusterStories)
+ * @param {Map} run.results - Story -> { decision, pageId, error }
+ * @param {object} [run.options] - Run settings recorded in the report (dryRun, since, ...)
+ * @returns {object} { generatedAt, options, summary, stories, articles }
+ */
+function buildScanReport({ articles, matchedArticles, stories, results, options = {} }) {
+  const matchedByLink = new Map(matchedArticles.map(article => [article.link, article]));
+  const storyByLink = new Map();
+  stories.forEach((story, index) => {
+    for (const source of story.sources) storyByLink.set(source.link, index);
+  });
+
+  const storyRecords = stories.map((story, index) => {
+    const result = results.get(story) || { decision: 'below_confidence' };
+    return {
+      id: index + 1,
+      title: story.title,
+      decision: result.decision,
+      ...(result.error ? { error: result.error } : {}),
+      signal: describeSignal(story, result),
+    };
+  });
+
+  const articleRecords = articles.map(article => {
+    const matched = matchedByLink.get(article.link);
+    const storyIndex = matched ? storyByLink.get(article.link) : undefined;
+    const story = storyIndex !== undefined ? stories[storyIndex] : null;
+    const primary = story ? story.link === article.link : false;
+
+    return {
+      title: article.title,
+      link: article.link,
+      source: article.source,
+      feedCategory: article.category || null,
+      published: isoOrNull(article.pubDate),
+      matches: matched ? matched.matches.map(match => ({
+        category: match.category,
+        keyword: match.keyword,
+        signalType: match.signalType,
+        matchedText: match.matchedText,
+        inTitle: match.inTitle,
+      })) : [],
+      signalType: matched ? matched.signalType : null,
+      confidence: matched ? matched.confidence : null,
+      story: story ? storyIndex + 1 : null,
+      decision: !story ? 'no_match' : primary ? storyRecords[storyIndex].decision : 'merged',
+    };
+  });
+
+  const summary = { articles: articles.length, matched: matchedArticles.length, stories: stories.length };
+  for (const decision of DECISIONS) {
+    summary[decision] = articleRecords.filter(record => record.decision === decision).length;
+  }
+
+  return {
+    generatedAt: new Date().toISOString(),
+    options,
+    summary,
+    stories: storyRecords,
+    articles: articleRecords,
+  };
+}
+
+/**
+ * Quote a CSV field
+ */
+function csvField(value) {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Format the report as CSV (one row per fetched article; signal_type is the
+ * type of the story's signal, or of the article's primary match)
+ */
+function formatCsv(report) {
+  const header = ['title', 'link', 'source', 'published', 'categories', 'keywords', 'signal_type',
+    'confidence', 'story', 'decision', 'signal_title', 'signal_confidence'];
+  const rows = report.articles.map(article => {
+    const story = article.story ? report.stories[article.story - 1] : null;
+    return [
+      article.title,
+      article.link,
+      article.source,
+      article.published,
+      [...new Set(article.matches.map(m => m.category))].join('; '),
+      article.matches.map(m => m.keyword).join('; '),
+      story ? story.signal.signalType : article.signalType,
+      article.confidence,
+      article.story,
+      article.decision,
+      story ? story.signal.title : '',
+      story ? story.signal.confidence : '',
+    ];
+  });
+  return [header, ...rows].map(row => row.map(csvField).join(',')).join('\n') + '\n';
+}
+
+/**
+ * Escape a Markdown table cell
+ */
+function mdCell(value) {
+  return (value === null || value === undefined ? '' : String(value)).replace(/\|/g, '\\|').replace(/\s*\n\s*/g, ' ');
+}
+
+/**
+ * Format the report as Markdown
+ */
+function formatMarkdown(report) {
+  const lines = [
+    `# Scan Report - ${report.generatedAt}`,
+    '',
+    `Options: ${Object.entries(report.options).map(([key, value]) => `${key}=${value}`).join(', ') || 'none'}`,
+    '',
+    '## Summary',
+    '',
+    '| Metric | Count |',
+    '|--------|-------|',
+    ...Object.entries(report.summary).map(([key, value]) => `| ${key} | ${value} |`),
+    '',
+    '## Stories',
+    '',
+    '| # | Decision | Type | Confidence | Title | Keywords | Sources |',
+    '|---|----------|------|------------|-------|----------|---------|',
+    ...report.stories.map(story => `| ${story.id} | ${story.decision} | ${story.signal.signalType} | ${story.signal.confidence} | ` +
+      `[${mdCell(story.title)}](${story.signal.link}) | ${mdCell(story.signal.keywords.join(', '))} | ${story.signal.sources.length} |`),
+    '',
+    '## Articles',
+    '',
+    '| Decision | Story | Source | Title | Keywords |',
+    '|----------|-------|--------|-------|----------|',
+    ...report.articles.map(article => `| ${article.decision} | ${article.story || ''} | ${mdCell(article.source)} | ` +
+      `[${mdCell(article.title)}](${article.link}) | ${mdCell(article.matches.map(m => m.keyword).join(', '))} |`),
+  ];
+  return lines.join('\n') + '\n';
+}
+
+/**
+ * Write the report in the format matching the file extension
+ * @returns {string} Format written
+ * @throws {Error} On an unsupported extension or write failure
+ */
+function writeScanReport(file, report) {
+  const format = reportFormat(file);
+  if (!format) {
+    throw new Error(`Unsupported report format "${path.extname(file)}" (use ${Object.keys(REPORT_FORMATS).join(', ')})`);
+  }
+
+  const content = format === 'json' ? `${JSON.stringify(report, null, 2)}\n`
+    : format === 'csv' ? formatCsv(report)
+    : formatMarkdown(report);
+
+  const directory = path.dirname(file);
+  if (directory) fs.mkdirSync(directory, { recursive: true });
+  fs.writeFileSync(file, content);
+  return format;
+}
+
+module.exports = {
+  REPORT_FORMATS,
+  reportFormat,
+  buildScanReport,
+  writeScanReport,
+};
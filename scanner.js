@@ -7,30 +7,161 @@
  *
  * Designed to run via GitHub Actions (free for public repos).
  *
+ * Usage:
+ *   node scanner.js                        # Run scan
+ *   node scanner.js --dry-run              # Preview without creating signals
+ *   node scanner.js --since=2025-01-10     # Rescan articles published since a date
+ *   node scanner.js --extract              # Fetch full article text
+ *   node scanner.js --resync-index         # Rebuild the local seen-article index
+ *   node scanner.js --no-cache             # Ignore cached feed validators
+ *   node scanner.js --dry-run --output=report.json  # Write the full run result (.json, .csv or .md)
+ *
  * Required environment variables:
  *   NOTION_TOKEN - Notion API integration token
  *   SIGNALS_DATABASE_ID - Notion database ID for signals
  *
  * Optional:
+ *   FEEDS_DATABASE_ID - Notion database of RSS feeds (overrides RSS_FEEDS)
+ *   KEYWORDS_DATABASE_ID - Notion database of keywords (overrides MONITOR_KEYWORDS)
  *   SERPAPI_KEY - SerpAPI key for Google News (100 free searches/month)
+ *   FEDERAL_REGISTER_ENABLED - Set to 'false' to skip Federal Register documents
+ *   FEDERAL_REGISTER_API_URL - Federal Register API base URL (e.g. a local fixture server)
+ *   FEDERAL_REGISTER_AGENCIES - Comma-separated agency slugs (default: FDA, CBP, USTR, DEA)
+ *   SIGNAL_TAXONOMY_FILE - JSON file with signal types and classification rules
+ *   SIGNAL_TYPE_PRECEDENCE - Comma-separated signal type priority for multi-category matches
+ *   EXTRACT_FULL_TEXT - Set to 'true' (or pass --extract) to fetch full article text
+ *   EXTRACT_SKIP_DOMAINS - Extra comma-separated domains to never fetch (paywalls)
+ *   EXTRACT_MAX_ARTICLES - Maximum articles to fetch per run (default: 100)
+ *   MAX_LOOKBACK_DAYS - Maximum catch-up window after missed runs (default: 7)
+ *   ENTITIES_DATABASE_ID - Notion database of extracted entities linked from signals
+ *   ENTITIES_PARENT_PAGE_ID - Page to create the Entities database under (if no ID is set)
+ *   EVENTS_DATABASE_ID - Notion database to upsert trade-show events into
+ *   TARIFF_WATCH_DATABASE_ID - Notion database tracking HTS codes and reported duty rates
+ *   WATCHED_HTS_CODES - Comma-separated HTS prefixes to flag rate changes for
+ *   FEED_HEALTH_PAGE_ID - Notion page to overwrite with the feed health table
+ *   DIGEST_PARENT_PAGE_ID - Notion page to create a daily digest page under after each run
+ *   PAGE_TEMPLATES_DIR - Directory of page template overrides (see templates/)
+ *   PROPERTY_ALIASES_FILE - JSON file mapping schema properties to other names (see notion-schema.js)
+ *   NOTIFY_CONFIG_FILE - JSON file of notification channels (Slack, Discord, Teams, webhooks)
+ *   SLACK_WEBHOOK_URL / DISCORD_WEBHOOK_URL / TEAMS_WEBHOOK_URL / NOTIFY_WEBHOOK_URL -
+ *     Unfiltered notification channels (when NOTIFY_CONFIG_FILE is not set)
+ *   FEED_QUARANTINE_AFTER - Consecutive failures before a feed is quarantined (default: 5)
+ *   FEED_QUARANTINE_RETRY_DAYS - Days between probes of a quarantined feed (default: 7)
+ *   FETCH_CONCURRENCY - Maximum feed/page requests in flight (default: 4)
+ *   HOST_INTERVAL_MS - Minimum gap between requests to the same host (default: 1000, 0 to disable)
+ *   MIN_CONFIDENCE - Skip signals whose computed confidence (0-1) is below this value
+ *   STORY_SIMILARITY_THRESHOLD - Title similarity (0-1) for grouping articles into one story (default: 0.5)
  *   DRY_RUN - Set to 'true' to test without creating signals
+ *   STATE_DIR - Directory for local scanner state (default: .scanner-state)
  */
 
-const { Client } = require('@notionhq/client');
 const Parser = require('rss-parser');
+const { loadSourcesConfig } = require('./sources-config');
+const { compileKeyword, matchKeyword, extractContext } = require('./keyword-matcher');
+const { loadTaxonomy, classifyMatch, typePrecedence } = require('./signal-taxonomy');
+const { calculateSignalConfidence } = require('./signal-confidence');
+const { clusterArticles, normalizeUrl } = require('./article-dedup');
+const { extractEntities } = require('./entity-extractor');
+const { extractEvent, formatEvent } = require('./event-extractor');
+const { ensureEventsSchema, upsertEvent } = require('./event-store');
+const {
+  parseWatchedCodes,
+  extractTariffMentions,
+  ensureTariffWatchSchema,
+  detectRateChanges,
+  recordTariffMentions,
+} = require('./tariff-tracker');
+const { loadEntityStore, saveEntityStore, ensureEntitiesDatabase, ensureSignalsRelation, linkEntities } = require('./entity-store');
+const { DEFAULT_SKIP_DOMAINS, isSkippedDomain, fetchArticleText, parseDomainList } = require('./article-extractor');
+const { DEFAULT_BASE_URL: FEDERAL_REGISTER_DEFAULT_URL, fetchDocuments, toArticle, matchesKeywords, parseAgencyList } = require('./federal-register');
+const { loadNotifier, sendNotification } = require('./notifier');
+const { loadPageTemplates, renderPageTemplate } = require('./page-templates');
+const { REPORT_FORMATS, reportFormat, buildScanReport, writeScanReport } = require('./scan-report');
+const { loadDigestHistory, saveDigestHistory, recordDigestDay, sevenDayAverages, buildDigestBlocks } = require('./digest');
+const { loadSeenIndex, saveSeenIndex, findSeen, findSeenPage, markSeen, syncSeenIndex } = require('./seen-index');
+const { DEFAULT_CONCURRENCY, DEFAULT_HOST_INTERVAL_MS, runPool } = require('./fetch-pool');
+const {
+  loadFeedHealth, saveFeedHealth, shouldFetch, recordSuccess, recordFailure, summarizeHealth, buildHealthBlocks,
+  QUARANTINE_AFTER,
+} = require('./feed-health');
+const {
+  loadFeedCache, saveFeedCache, conditionalHeaders, itemGuid, filterNewItems, responseValidators, recordFetch,
+  recordNotModified, getWatermark, advanceWatermark,
+} = require('./feed-cache');
+const { createNotionClient, formatNotionStats } = require('./notion-client');
+const { DATABASE_SCHEMAS, preflightDatabase, loadPropertyAliases } = require('./notion-schema');
 
-// Initialize clients
-const notion = new Client({ auth: process.env.NOTION_TOKEN });
-const rssParser = new Parser({
-  timeout: 10000,
-  headers: {
-    'User-Agent': 'Mozilla/5.0 (compatible; NotionIntelScanner/1.0)'
-  }
-});
+// Initialize clients (feeds are fetched with conditional GETs, then parsed from the XML string)
+const { notion, notionRequest, notionStats } = createNotionClient({ auth: process.env.NOTION_TOKEN });
+const rssParser = new Parser();
+
+const USER_AGENT = 'Mozilla/5.0 (compatible; NotionIntelScanner/1.0)';
+const FEED_TIMEOUT_MS = 10000;
+
+// Parallel fetching: requests in flight overall, and minimum gap between requests to one host
+const FETCH_CONCURRENCY = parseInt(process.env.FETCH_CONCURRENCY, 10) || DEFAULT_CONCURRENCY;
+const hostIntervalSetting = parseInt(process.env.HOST_INTERVAL_MS, 10);
+const HOST_INTERVAL_MS = isNaN(hostIntervalSetting) ? DEFAULT_HOST_INTERVAL_MS : Math.max(0, hostIntervalSetting); // 0 = no spacing
+const HOST_INTERVALS = {
+  'serpapi.com': 1000, // Rate limit SerpAPI
+};
 
 // Configuration
 const SIGNALS_DB = process.env.SIGNALS_DATABASE_ID;
+const FEEDS_DB = process.env.FEEDS_DATABASE_ID;
+const KEYWORDS_DB = process.env.KEYWORDS_DATABASE_ID;
+const FEED_HEALTH_PAGE = process.env.FEED_HEALTH_PAGE_ID;
+const DIGEST_PARENT_PAGE = process.env.DIGEST_PARENT_PAGE_ID;
+const ENTITIES_DB = process.env.ENTITIES_DATABASE_ID;
+const ENTITIES_PARENT_PAGE = process.env.ENTITIES_PARENT_PAGE_ID;
+const EVENTS_DB = process.env.EVENTS_DATABASE_ID;
+const TARIFF_WATCH_DB = process.env.TARIFF_WATCH_DATABASE_ID;
+const WATCHED_HTS_CODES = parseWatchedCodes(process.env.WATCHED_HTS_CODES);
 const DRY_RUN = process.env.DRY_RUN === 'true' || process.argv.includes('--dry-run');
+const RESYNC_INDEX = process.argv.includes('--resync-index');
+const NO_FEED_CACHE = process.argv.includes('--no-cache');
+const OUTPUT_FILE = getArgValue('--output');
+
+// Article window: since each feed's watermark (last successful run), capped at
+// MAX_LOOKBACK_DAYS; --since=YYYY-MM-DD forces an explicit historical rescan
+const SINCE = parseSinceArg();
+const DEFAULT_LOOKBACK_HOURS = 24;
+const MAX_LOOKBACK_DAYS = parseInt(process.env.MAX_LOOKBACK_DAYS, 10) || 7;
+const WATERMARK_OVERLAP_HOURS = 6; // Re-check recent items in case of late or backdated pubDates
+
+// Federal Register documents from tracked agencies, kept only if they match these keyword categories
+const FEDERAL_REGISTER_ENABLED = process.env.FEDERAL_REGISTER_ENABLED !== 'false';
+const FEDERAL_REGISTER_API_URL = process.env.FEDERAL_REGISTER_API_URL || FEDERAL_REGISTER_DEFAULT_URL;
+const FEDERAL_REGISTER_AGENCIES = parseAgencyList(process.env.FEDERAL_REGISTER_AGENCIES);
+const FEDERAL_REGISTER_CATEGORIES = ['regulations', 'tariffs', 'compliance'];
+
+// Full-text extraction (optional): fetch article pages for matching and summaries
+const EXTRACT_FULL_TEXT = process.env.EXTRACT_FULL_TEXT === 'true' || process.argv.includes('--extract');
+const EXTRACT_SKIP_DOMAINS = [...DEFAULT_SKIP_DOMAINS, ...parseDomainList(process.env.EXTRACT_SKIP_DOMAINS)];
+const EXTRACT_MAX_ARTICLES = parseInt(process.env.EXTRACT_MAX_ARTICLES, 10) || 100;
+const SUMMARY_MAX_LENGTH = 2000;
+
+// Signals below this confidence (0-1) are not created; 0 disables the cutoff
+const MIN_CONFIDENCE = parseFloat(process.env.MIN_CONFIDENCE) || 0;
+
+// Matched articles with titles at least this similar (Jaccard) become one story
+const STORY_SIMILARITY_THRESHOLD = parseFloat(process.env.STORY_SIMILARITY_THRESHOLD) || 0.5;
+
+// Signal types and the category/keyword rules that assign them
+const { taxonomy: TAXONOMY, source: TAXONOMY_SOURCE, error: TAXONOMY_ERROR } = loadTaxonomy(process.env.SIGNAL_TAXONOMY_FILE);
+
+// Signal page layouts (templates/, overridable per signal type via PAGE_TEMPLATES_DIR)
+const PAGE_TEMPLATES = loadPageTemplates(process.env.PAGE_TEMPLATES_DIR);
+
+// Alternative Signals database property names (see notion-schema.js)
+const PROPERTY_ALIASES = loadPropertyAliases(process.env.PROPERTY_ALIASES_FILE);
+
+// Outbound notifications for new signals (see notifier.js)
+const NOTIFIER = loadNotifier(process.env.NOTIFY_CONFIG_FILE);
+
+// When an article matches several categories, the first signal type in this list wins
+// (default: the taxonomy's type order)
+const SIGNAL_TYPE_PRECEDENCE = typePrecedence(TAXONOMY, process.env.SIGNAL_TYPE_PRECEDENCE);
 
 // ============================================================================
 // RSS FEEDS - Cannabis & Accessories Industry News
@@ -165,10 +296,71 @@ const MONITOR_KEYWORDS = {
   ],
 };
 
+// Active configuration - replaced at startup when Notion sources are configured
+let activeFeeds = RSS_FEEDS;
+let activeKeywords = MONITOR_KEYWORDS;
+let keywordSignalTypes = new Map();
+let compiledKeywords = compileKeywords(MONITOR_KEYWORDS);
+
+// Signals database properties (read at startup so optional properties are only written if present)
+// and the actual property name for each schema field (see notion-schema.js)
+let signalsProperties = {};
+let signalFields = {};
+
+// Entities database page cache and the Signals relation property (null = not linked)
+const entityStore = loadEntityStore();
+let entitiesRelation = null;
+
+// Set once the Events database schema has been checked
+let eventsReady = false;
+
+// Set once the Tariff Watch database schema has been checked
+let tariffWatchReady = false;
+
+// Local index of articles that already have a signal (synced from Notion at startup)
+let seenIndex = null;
+
+// ETag / Last-Modified validators and recent item GUIDs per feed
+let feedCache = loadFeedCache({ reset: NO_FEED_CACHE });
+
+// Feeds fetched this run: { url, validators, items: [{ guid, link, pubDate }], fetchedAt },
+// recorded in the feed cache once their items have been processed
+const fetchedFeeds = [];
+
+// Per-feed success/failure history (quarantines feeds that keep failing)
+const feedHealth = loadFeedHealth();
+
 // ============================================================================
 // HELPER FUNCTIONS
 // ============================================================================
 
+/**
+ * Read a command-line option value (--name=value or --name value)
+ */
+function getArgValue(name) {
+  const args = process.argv.slice(2);
+  for (let i = 0; i < args.length; i++) {
+    if (args[i] === name) return args[i + 1] || null;
+    if (args[i].startsWith(`${name}=`)) return args[i].substring(name.length + 1);
+  }
+  return null;
+}
+
+/**
+ * Parse --since into a Date (exits on an invalid date)
+ */
+function parseSinceArg() {
+  const value = getArgValue('--since');
+  if (value === null) return null;
+
+  const since = new Date(value);
+  if (isNaN(since)) {
+    console.error(`Error: Invalid --since date "${value}" (expected YYYY-MM-DD)`);
+    process.exit(1);
+  }
+  return since;
+}
+
 /**
  * Sleep helper
  */
@@ -189,23 +381,148 @@ function isValidUrl(string) {
 }
 
 /**
- * Wrapper for Notion API calls with exponential backoff for rate limiting
+ * Compile keyword expressions per category, skipping (and reporting) invalid ones
  */
-async function notionRequest(fn, retries = 3) {
-  for (let i = 0; i < retries; i++) {
-    try {
-      return await fn();
-    } catch (error) {
-      if (error.code === 'rate_limited' || error.status === 429) {
-        const delay = Math.pow(2, i) * 1000;
-        console.log(`  Rate limited, waiting ${delay}ms...`);
-        await sleep(delay);
-        continue;
+function compileKeywords(keywordsByCategory) {
+  const compiled = {};
+  for (const [category, keywords] of Object.entries(keywordsByCategory)) {
+    compiled[category] = [];
+    for (const keyword of keywords) {
+      try {
+        compiled[category].push(compileKeyword(keyword));
+      } catch (error) {
+        console.error(`  Warning: Skipping keyword in ${category}: ${error.message}`);
       }
-      throw error;
     }
   }
-  throw new Error('Max retries exceeded');
+  return compiled;
+}
+
+/**
+ * Load feeds and keywords from Notion, keeping the hardcoded lists as fallback
+ */
+async function loadConfiguration() {
+  const config = await loadSourcesConfig({
+    notion,
+    notionRequest,
+    feedsDatabaseId: FEEDS_DB,
+    keywordsDatabaseId: KEYWORDS_DB,
+    fallbackFeeds: RSS_FEEDS,
+    fallbackKeywords: MONITOR_KEYWORDS,
+    validSignalTypes: TAXONOMY.typeNames,
+  });
+
+  for (const error of config.errors) {
+    const row = error.pageId ? ` (row ${error.pageId})` : '';
+    console.error(`  Warning: Invalid ${error.database} entry${row}: ${error.message}`);
+  }
+
+  activeFeeds = config.feeds;
+  activeKeywords = config.keywords;
+  keywordSignalTypes = config.signalTypes;
+  compiledKeywords = compileKeywords(activeKeywords);
+
+  const keywordCount = Object.values(activeKeywords).reduce((sum, list) => sum + list.length, 0);
+  console.log(`  Feeds: ${activeFeeds.length} (${config.feedsSource})`);
+  console.log(`  Keywords: ${keywordCount} in ${Object.keys(activeKeywords).length} categories (${config.keywordsSource})`);
+
+  if (TAXONOMY_ERROR) {
+    console.error(`  Warning: Invalid signal taxonomy ${TAXONOMY_ERROR}`);
+  }
+  console.log(`  Signal types: ${TAXONOMY.typeNames.join(', ')} (${TAXONOMY_SOURCE})`);
+
+  for (const error of PAGE_TEMPLATES.errors) {
+    console.error(`  Warning: Invalid page template ${error}`);
+  }
+  if (PAGE_TEMPLATES.overrides.length > 0) {
+    console.log(`  Page templates: ${PAGE_TEMPLATES.overrides.join(', ')} (${process.env.PAGE_TEMPLATES_DIR})`);
+  }
+
+  if (NOTIFIER.error) {
+    console.error(`  Warning: Invalid notification config ${NOTIFIER.error}`);
+  }
+  for (const name of NOTIFIER.missing) {
+    console.error(`  Warning: Notification channel "${name}" has no webhook URL set - skipped`);
+  }
+  if (NOTIFIER.channels.length > 0) {
+    console.log(`  Notification channels: ${NOTIFIER.channels.map(c => `${c.name} (${c.type})`).join(', ')} (${NOTIFIER.source})`);
+  }
+}
+
+/**
+ * Fetch with timeout to prevent hanging requests
+ */
+async function fetchWithTimeout(url, options = {}, timeout = FEED_TIMEOUT_MS) {
+  const controller = new AbortController();
+  const timeoutId = setTimeout(() => controller.abort(), timeout);
+
+  try {
+    const response = await fetch(url, { ...options, signal: controller.signal });
+    clearTimeout(timeoutId);
+    return response;
+  } catch (error) {
+    clearTimeout(timeoutId);
+    if (error.name === 'AbortError') {
+      throw new Error(`Request timed out after ${timeout}ms`);
+    }
+    throw error;
+  }
+}
+
+/**
+ * Fetch one feed with a conditional GET
+ * Explicit --since rescans bypass the cache so already-seen items are returned again
+ * @returns {Promise<object|null>} { items (not seen in earlier runs), total, validators },
+ *   or null if not modified
+ */
+async function fetchFeedItems(feed) {
+  const useCache = !SINCE;
+  const response = await fetchWithTimeout(feed.url, {
+    headers: {
+      'User-Agent': USER_AGENT,
+      'Accept': 'application/rss+xml, application/atom+xml, application/xml, text/xml, */*',
+      ...(useCache ? conditionalHeaders(feedCache, feed.url) : {}),
+    },
+  });
+
+  if (response.status === 304) {
+    recordNotModified(feedCache, feed.url);
+    return null;
+  }
+  if (!response.ok) {
+    throw new Error(`Status code ${response.status}`);
+  }
+
+  const parsed = await rssParser.parseString(await response.text());
+  const items = parsed.items || [];
+  const newItems = useCache ? filterNewItems(feedCache, feed.url, items).items : items;
+  return { items: newItems, total: items.length, validators: responseValidators(response.headers) };
+}
+
+/**
+ * Shared fetch pool settings
+ */
+function poolOptions(getUrl = item => item.url) {
+  return {
+    getUrl,
+    concurrency: FETCH_CONCURRENCY,
+    hostIntervalMs: HOST_INTERVAL_MS,
+    hostIntervals: HOST_INTERVALS,
+  };
+}
+
+/**
+ * Oldest pubDate to accept for a feed this run
+ */
+function feedCutoff(feed, now = new Date()) {
+  if (SINCE) return SINCE;
+
+  const watermark = getWatermark(feedCache, feed.url);
+  if (!watermark) return new Date(now - DEFAULT_LOOKBACK_HOURS * 60 * 60 * 1000);
+
+  const floor = new Date(now - MAX_LOOKBACK_DAYS * 24 * 60 * 60 * 1000);
+  const cutoff = new Date(watermark - WATERMARK_OVERLAP_HOURS * 60 * 60 * 1000);
+  return cutoff > floor ? cutoff : floor;
 }
 
 /**
@@ -213,39 +530,173 @@ async function notionRequest(fn, retries = 3) {
  */
 async function fetchRSSFeeds() {
   const articles = [];
-  const yesterday = new Date(Date.now() - 24 * 60 * 60 * 1000);
+  const now = new Date();
+  let notModified = 0;
+
+  // Skip quarantined feeds (they are re-probed periodically in case the URL is fixed)
+  const feeds = activeFeeds.filter(feed => shouldFetch(feedHealth, feed));
+  const quarantined = activeFeeds.length - feeds.length;
 
-  for (const feed of RSS_FEEDS) {
+  // Feeds run in parallel; feeds on the same host (e.g. the JOC feeds) are fetched one at a time
+  const results = await runPool(feeds, async (feed) => {
     try {
-      console.log(`  Fetching ${feed.name}...`);
-      const parsed = await rssParser.parseURL(feed.url);
-
-      for (const item of parsed.items || []) {
-        const pubDate = new Date(item.pubDate || item.isoDate || Date.now());
-
-        // Only get articles from last 24 hours
-        if (pubDate > yesterday) {
-          articles.push({
-            title: item.title || 'No title',
-            link: item.link || '',
-            content: (item.contentSnippet || item.content || '').substring(0, 2000),
-            source: feed.name,
-            category: feed.category,
-            pubDate: pubDate,
-          });
-        }
+      const result = await fetchFeedItems(feed);
+      console.log(`  Fetched ${feed.name}${result === null ? ' (not modified since last run)' : ''}`);
+      if (recordSuccess(feedHealth, feed, result ? result.total : null)) {
+        console.log(`  ${feed.name} recovered - removed from quarantine`);
       }
-
-      // Small delay between feeds
-      await sleep(500);
+      return result;
     } catch (error) {
       console.error(`  Warning: Error fetching ${feed.name}: ${error.message}`);
+      if (recordFailure(feedHealth, feed, error)) {
+        console.error(`  Warning: ${feed.name} quarantined after ${QUARANTINE_AFTER} consecutive failures`);
+      }
+      return { items: [], total: 0 };
+    }
+  }, poolOptions());
+
+  feeds.forEach((feed, index) => {
+    const result = results[index].value;
+    if (result === null) {
+      notModified++;
+      return;
     }
+
+    const cutoff = feedCutoff(feed, now);
+    const fetched = { url: feed.url, validators: result.validators, items: [], fetchedAt: now };
+    fetchedFeeds.push(fetched);
+
+    for (const item of result.items) {
+      const pubDate = new Date(item.pubDate || item.isoDate || Date.now());
+      fetched.items.push({ guid: itemGuid(item), link: item.link || '', pubDate });
+
+      // Only get articles published since the feed's cutoff
+      if (pubDate > cutoff) {
+        articles.push({
+          title: item.title || 'No title',
+          link: item.link || '',
+          content: (item.contentSnippet || item.content || '').substring(0, 2000),
+          source: feed.name,
+          sourceAuthority: feed.authority,
+          category: feed.category,
+          pubDate: pubDate,
+        });
+      }
+    }
+  });
+
+  // Dry runs don't record health, so transient failures can't quarantine feeds
+  if (!DRY_RUN) saveFeedHealth(feedHealth);
+  if (quarantined > 0) {
+    console.log(`  ${quarantined} quarantined feed${quarantined === 1 ? '' : 's'} skipped`);
+  }
+  if (notModified > 0) {
+    console.log(`  ${notModified} feed${notModified === 1 ? '' : 's'} unchanged (304)`);
   }
 
   return articles;
 }
 
+/**
+ * Record this run's fetches in the feed cache once their items have been
+ * processed. Items whose signal failed keep their GUIDs out of the cache and
+ * hold the watermark below them, and a feed with failures keeps no validators,
+ * so the next run fetches those items again.
+ * @param {Set} failedLinks - Links of articles in stories that failed
+ */
+function recordProcessedFeeds(failedLinks) {
+  for (const fetched of fetchedFeeds) {
+    const failed = fetched.items.filter(item => item.link && failedLinks.has(item.link));
+    const processed = fetched.items.filter(item => !failed.includes(item));
+    const oldestFailure = failed.reduce((oldest, item) => (!oldest || item.pubDate < oldest ? item.pubDate : oldest), null);
+
+    if (!fetched.watermarkOnly) {
+      recordFetch(feedCache, fetched.url, failed.length > 0 ? null : fetched.validators, processed.map(item => item.guid));
+    }
+    for (const item of processed) {
+      // Watermark tracks the newest item processed (ignoring future-dated items)
+      if (item.pubDate > fetched.fetchedAt || (oldestFailure && item.pubDate >= oldestFailure)) continue;
+      advanceWatermark(feedCache, fetched.url, item.pubDate);
+    }
+  }
+}
+
+/**
+ * Replace the Feed Health page content with the current health table
+ */
+async function updateFeedHealthPage() {
+  const summary = summarizeHealth(feedHealth, activeFeeds);
+  const unhealthy = summary.filter(row => row.status === 'quarantined' || row.status === 'failing');
+
+  if (DRY_RUN) {
+    console.log(`  [DRY RUN] Would update Feed Health page (${unhealthy.length} unhealthy feeds)`);
+    return true;
+  }
+
+  try {
+    // Clear existing content (paginated - a page can hold more than 100 blocks)
+    let hasMore = true;
+    while (hasMore) {
+      const response = await notionRequest(() => notion.blocks.children.list({
+        block_id: FEED_HEALTH_PAGE,
+        page_size: 100,
+      }));
+      for (const block of response.results) {
+        await notionRequest(() => notion.blocks.delete({ block_id: block.id }));
+      }
+      hasMore = response.has_more && response.results.length > 0;
+    }
+
+    await notionRequest(() => notion.blocks.children.append({
+      block_id: FEED_HEALTH_PAGE,
+      children: buildHealthBlocks(summary),
+    }));
+
+    console.log(`  Feed Health page updated (${unhealthy.length} unhealthy feeds)`);
+    return true;
+  } catch (error) {
+    console.error(`  Warning: Error updating Feed Health page: ${error.message}`);
+    return false;
+  }
+}
+
+/**
+ * Create the digest page for this run's signals under DIGEST_PARENT_PAGE
+ * @param {Array} signals - Signals created this run (see buildDigestBlocks)
+ */
+async function publishDigest(signals) {
+  const date = new Date().toISOString().split('T')[0];
+  const history = loadDigestHistory();
+  const blocks = buildDigestBlocks(signals, sevenDayAverages(history, date), date);
+
+  if (DRY_RUN) {
+    console.log(`  [DRY RUN] Would create digest page with ${signals.length} signals (${blocks.length} blocks)`);
+    return true;
+  }
+
+  try {
+    // A request takes at most 100 children; the rest are appended in batches
+    const page = await notionRequest(() => notion.pages.create({
+      parent: { page_id: DIGEST_PARENT_PAGE },
+      icon: { type: 'emoji', emoji: '🗞️' },
+      properties: {
+        title: { title: [{ text: { content: `Intel Digest - ${date}` } }] },
+      },
+      children: blocks.slice(0, 100),
+    }));
+    for (let i = 100; i < blocks.length; i += 100) {
+      await notionRequest(() => notion.blocks.children.append({ block_id: page.id, children: blocks.slice(i, i + 100) }));
+    }
+
+    saveDigestHistory(recordDigestDay(history, date, signals));
+    console.log(`  Digest page created: ${page.url || page.id}`);
+    return true;
+  } catch (error) {
+    console.error(`  Warning: Error creating digest page: ${error.message}`);
+    return false;
+  }
+}
+
 /**
  * Fetch Google News via SerpAPI (optional)
  */
@@ -263,46 +714,157 @@ async function fetchGoogleNews() {
 
   console.log('  Fetching Google News via SerpAPI...');
 
-  for (const query of searches) {
+  const searchUrl = (query) =>
+    `https://serpapi.com/search.json?engine=google_news&q=${encodeURIComponent(query)}&api_key=${process.env.SERPAPI_KEY}`;
+
+  // NOTE: SerpAPI requires API key in URL query parameter; header auth not supported.
+  // Consider using a server-side proxy in production to avoid exposing the key in logs.
+  const results = await runPool(searches, async (query) => {
     try {
-      // NOTE: SerpAPI requires API key in URL query parameter; header auth not supported.
-      // Consider using a server-side proxy in production to avoid exposing the key in logs.
-      const url = `https://serpapi.com/search.json?engine=google_news&q=${encodeURIComponent(query)}&api_key=${process.env.SERPAPI_KEY}`;
-      const response = await fetch(url);
+      const response = await fetchWithTimeout(searchUrl(query));
       if (!response.ok) {
         throw new Error(`SerpAPI returned status ${response.status}`);
       }
       const data = await response.json();
+      return data.news_results || [];
+    } catch (error) {
+      console.error(`  SerpAPI error for "${query}": ${error.message}`);
+      return [];
+    }
+  }, poolOptions(searchUrl));
 
-      for (const item of data.news_results || []) {
-        const itemLink = item.link || '';
-
-        // Skip items with invalid URLs
-        if (itemLink && !isValidUrl(itemLink)) {
-          continue;
-        }
+  for (const result of results) {
+    for (const item of result.value || []) {
+      const itemLink = item.link || '';
 
-        articles.push({
-          title: item.title,
-          link: itemLink,
-          content: item.snippet || '',
-          source: item.source?.name || 'Google News',
-          category: 'google',
-          pubDate: new Date(),
-        });
+      // Skip items with invalid URLs
+      if (itemLink && !isValidUrl(itemLink)) {
+        continue;
       }
 
-      await sleep(1000); // Rate limit SerpAPI
-    } catch (error) {
-      console.error(`  SerpAPI error for "${query}": ${error.message}`);
+      articles.push({
+        title: item.title,
+        link: itemLink,
+        content: item.snippet || '',
+        source: item.source?.name || 'Google News',
+        category: 'google',
+        pubDate: new Date(),
+      });
+    }
+  }
+
+  return articles;
+}
+
+/**
+ * Fetch Federal Register documents from tracked agencies that match regulation/tariff keywords
+ * Uses the same watermark/lookback logic as RSS feeds (keyed by the API URL)
+ */
+async function fetchFederalRegister() {
+  if (!FEDERAL_REGISTER_ENABLED) {
+    return [];
+  }
+
+  const source = { name: 'Federal Register', url: FEDERAL_REGISTER_API_URL };
+  const now = new Date();
+  const since = feedCutoff(source, now).toISOString().split('T')[0];
+
+  let documents;
+  try {
+    documents = await fetchDocuments({
+      baseUrl: FEDERAL_REGISTER_API_URL,
+      agencies: FEDERAL_REGISTER_AGENCIES,
+      since,
+      userAgent: USER_AGENT,
+    });
+  } catch (error) {
+    console.error(`  Warning: Error fetching Federal Register: ${error.message}`);
+    return [];
+  }
+
+  const filterKeywords = FEDERAL_REGISTER_CATEGORIES.flatMap(category => compiledKeywords[category] || []);
+  const articles = [];
+  const fetched = { url: source.url, validators: null, items: [], fetchedAt: now, watermarkOnly: true };
+  fetchedFeeds.push(fetched);
+
+  for (const doc of documents) {
+    const article = toArticle(doc);
+    if (!article) continue;
+    fetched.items.push({ guid: null, link: article.link, pubDate: article.pubDate });
+
+    if (matchesKeywords(article, filterKeywords)) {
+      articles.push(article);
     }
   }
 
+  console.log(`  ${documents.length} documents published since ${since}, ${articles.length} match regulation/tariff keywords`);
   return articles;
 }
 
+/**
+ * Pick the primary match: highest signal type by SIGNAL_TYPE_PRECEDENCE,
+ * then earliest category/keyword order
+ */
+function choosePrimaryMatch(matches) {
+  const rank = (type) => {
+    const index = SIGNAL_TYPE_PRECEDENCE.indexOf(type);
+    return index === -1 ? SIGNAL_TYPE_PRECEDENCE.length : index;
+  };
+  return matches.reduce((best, match) => (rank(match.signalType) < rank(best.signalType) ? match : best));
+}
+
+/**
+ * Fetch full article text for new articles (skips seen articles and opted-out domains)
+ * @returns {Promise<object>} { extracted, skipped, failed }
+ */
+async function extractFullText(articles) {
+  const stats = { extracted: 0, skipped: 0, failed: 0 };
+
+  const candidates = articles.filter(article => {
+    if (!isValidUrl(article.link) || isSkippedDomain(article.link, EXTRACT_SKIP_DOMAINS)) return false;
+    return !seenIndex || !findSeen(seenIndex, article.link, article.title);
+  });
+  stats.skipped = articles.length - Math.min(candidates.length, EXTRACT_MAX_ARTICLES);
+
+  await runPool(candidates.slice(0, EXTRACT_MAX_ARTICLES), async (article) => {
+    try {
+      const text = await fetchArticleText(article.link);
+      // Keep the feed snippet if the page yielded less than it (teaser or script-rendered page)
+      if (text.length > (article.content || '').length) {
+        article.fullText = text;
+        stats.extracted++;
+      } else {
+        stats.skipped++;
+      }
+    } catch (error) {
+      console.error(`  Warning: Could not extract ${article.link.substring(0, 80)}: ${error.message}`);
+      stats.failed++;
+    }
+  }, poolOptions(article => article.link));
+
+  return stats;
+}
+
+/**
+ * Build the signal summary from extracted text (whole paragraphs) or the feed snippet
+ */
+function buildSummary(article) {
+  if (!article.fullText) {
+    return (article.content || 'See source link for full article.').substring(0, SUMMARY_MAX_LENGTH);
+  }
+
+  let summary = '';
+  for (const paragraph of article.fullText.split('\n\n')) {
+    const next = summary ? `${summary}\n\n${paragraph}` : paragraph;
+    if (next.length > SUMMARY_MAX_LENGTH) break;
+    summary = next;
+  }
+  return summary || article.fullText.substring(0, SUMMARY_MAX_LENGTH);
+}
+
 /**
  * Match articles against keywords
+ * Collects every matching category and keyword per article
  */
 function matchArticles(articles) {
   const matched = [];
@@ -312,72 +874,453 @@ function matchArticles(articles) {
     // Skip if we've already matched this article
     if (seen.has(article.link)) continue;
 
-    const text = `${article.title} ${article.content}`.toLowerCase();
+    const text = `${article.title} ${article.fullText || article.content}`;
+    const matches = [];
 
-    for (const [category, keywords] of Object.entries(MONITOR_KEYWORDS)) {
-      for (const keyword of keywords) {
-        if (text.includes(keyword.toLowerCase())) {
-          matched.push({
-            ...article,
-            matchedKeyword: keyword,
-            matchCategory: category,
-            signalType: getSignalType(category),
+    for (const [category, keywords] of Object.entries(compiledKeywords)) {
+      for (const compiled of keywords) {
+        const match = matchKeyword(compiled, text);
+        if (match) {
+          matches.push({
+            category,
+            keyword: compiled.keyword,
+            signalType: keywordSignalTypes.get(compiled.keyword) || classifyMatch(TAXONOMY, category, text),
+            matchedText: match.span ? match.span.text : compiled.keyword,
+            context: extractContext(text, match.span),
+            inTitle: match.spans.some(span => span.start < article.title.length),
           });
-          seen.add(article.link);
-          break; // Only match once per article per category
         }
       }
     }
+
+    if (matches.length === 0) continue;
+
+    const primary = choosePrimaryMatch(matches);
+    const matchedArticle = {
+      ...article,
+      matchedKeyword: primary.keyword,
+      matchCategory: primary.category,
+      signalType: primary.signalType,
+      matchedText: primary.matchedText,
+      matchContext: primary.context,
+      matches,
+      matchCategories: [...new Set(matches.map(m => m.category))],
+      matchedKeywords: [...new Set(matches.map(m => m.keyword))],
+    };
+    const { confidence, factors } = calculateSignalConfidence(matchedArticle);
+    matchedArticle.confidence = confidence;
+    matchedArticle.confidenceFactors = factors;
+
+    matched.push(matchedArticle);
+    seen.add(article.link);
   }
 
   return matched;
 }
 
 /**
- * Map category to Notion signal type
+ * Merge a cluster of matched articles into a single story
+ * The highest-confidence article is the primary (title, link, summary); matches
+ * from every member are combined and confidence is recomputed with the source count.
  */
-function getSignalType(category) {
-  const mapping = {
-    competitors: 'NEWS',
-    regulations: 'LEGAL',
-    tariffs: 'LEGAL',
-    supply_chain: 'NEWS',
-    trade_shows: 'NEWS',
-    market: 'FUNDING',
-    compliance: 'LEGAL',
-    banking_payments: 'LEGAL',
-    technology: 'NEWS',
-    mergers_acquisitions: 'FUNDING',
+function mergeStory(members) {
+  const [primary] = [...members].sort((a, b) => b.confidence - a.confidence);
+  if (members.length === 1) {
+    return { ...primary, sources: [{ name: primary.source, link: primary.link, title: primary.title }] };
+  }
+
+  const matches = [];
+  for (const member of members) {
+    for (const match of member.matches) {
+      const key = `${match.category}|${match.keyword}`;
+      const existing = matches.find(m => `${m.category}|${m.keyword}` === key);
+      if (!existing) {
+        matches.push({ ...match });
+      } else if (match.inTitle && !existing.inTitle) {
+        existing.inTitle = true;
+      }
+    }
+  }
+
+  const primaryMatch = choosePrimaryMatch(matches);
+  const story = {
+    ...primary,
+    matchedKeyword: primaryMatch.keyword,
+    matchCategory: primaryMatch.category,
+    signalType: primaryMatch.signalType,
+    matchedText: primaryMatch.matchedText,
+    matchContext: primaryMatch.context,
+    matches,
+    matchCategories: [...new Set(matches.map(m => m.category))],
+    matchedKeywords: [...new Set(matches.map(m => m.keyword))],
+    sources: [primary, ...members.filter(m => m !== primary)]
+      .map(member => ({ name: member.source, link: member.link, title: member.title })),
   };
-  return mapping[category] || 'NEWS';
+  const { confidence, factors } = calculateSignalConfidence(story);
+  story.confidence = confidence;
+  story.confidenceFactors = factors;
+  return story;
+}
+
+/**
+ * Group matched articles that cover the same story (same URL or similar title)
+ * @returns {Array} One merged article per story
+ */
+function clusterStories(matched) {
+  return clusterArticles(matched, STORY_SIMILARITY_THRESHOLD).map(mergeStory);
+}
+
+/**
+ * Tag each story with the entities mentioned in its title, text and source titles
+ */
+function tagEntities(stories) {
+  for (const story of stories) {
+    const text = [
+      story.title,
+      story.fullText || story.content,
+      ...(story.sources || []).map(source => source.title),
+    ].filter(Boolean).join('\n');
+    story.entities = extractEntities(text, { competitors: compiledKeywords.competitors });
+  }
 }
 
 /**
- * Check if signal already exists in Notion (improved duplicate detection)
+ * Extract trade-show events (name, dates, location, deadlines) from trade_shows stories
  */
-async function signalExists(link) {
-  if (!link) return true; // Conservative: skip if no link
+function tagEvents(stories) {
+  for (const story of stories) {
+    if (!(story.matchCategories || []).includes('trade_shows')) continue;
+    const text = `${story.title}\n${story.fullText || story.content || ''}`;
+    story.event = extractEvent(text, { eventKeywords: compiledKeywords.trade_shows, pubDate: story.pubDate });
+  }
+}
+
+/**
+ * Extract HTS code mentions and reported duty rates from tariffs stories
+ */
+function tagTariffs(stories) {
+  for (const story of stories) {
+    if (!(story.matchCategories || []).includes('tariffs')) continue;
+    const text = `${story.title}\n${story.fullText || story.content || ''}`;
+    story.tariffMentions = extractTariffMentions(text, WATCHED_HTS_CODES);
+  }
+}
+
+/**
+ * Check the Tariff Watch database schema (adds missing properties and the signals relation)
+ */
+async function setupTariffWatch() {
+  if (!TARIFF_WATCH_DB) {
+    console.log('  Tariff Watch database not configured - HTS codes will only be listed on signals');
+    return;
+  }
+  console.log(`  Watched HTS codes: ${WATCHED_HTS_CODES.map(watched => watched.code).join(', ')}`);
+  if (DRY_RUN) {
+    console.log('  Dry run - Tariff Watch database will not be updated');
+    return;
+  }
 
   try {
-    // Check by source property (contains the URL)
-    const response = await notionRequest(() => notion.databases.query({
-      database_id: SIGNALS_DB,
-      filter: {
-        property: 'source',
-        rich_text: { contains: link.substring(0, 100) }
-      },
-      page_size: 1
-    }));
-    return response.results.length > 0;
+    const added = await ensureTariffWatchSchema({ notion, notionRequest, databaseId: TARIFF_WATCH_DB, signalsDatabaseId: SIGNALS_DB });
+    if (added.length > 0) console.log(`  Added Tariff Watch properties: ${added.join(', ')}`);
+    tariffWatchReady = true;
+    console.log(`  Tariff Watch database: ${TARIFF_WATCH_DB}`);
   } catch (error) {
-    // On error, return true (conservative - skip rather than create duplicate)
-    console.error(`  Warning: Error checking for duplicate, skipping: ${error.message}`);
-    return true;
+    console.error(`  Warning: Tariff Watch database unavailable: ${error.message}`);
+  }
+}
+
+/**
+ * Check the Events database schema (adds missing properties and the signals relation)
+ */
+async function setupEvents() {
+  if (!EVENTS_DB) {
+    console.log('  Events database not configured - events will only be listed on signals');
+    return;
+  }
+  if (DRY_RUN) {
+    console.log('  Dry run - Events database will not be updated');
+    return;
+  }
+
+  try {
+    const added = await ensureEventsSchema({ notion, notionRequest, databaseId: EVENTS_DB, signalsDatabaseId: SIGNALS_DB });
+    if (added.length > 0) console.log(`  Added Events properties: ${added.join(', ')}`);
+    eventsReady = true;
+    console.log(`  Events database: ${EVENTS_DB}`);
+  } catch (error) {
+    console.error(`  Warning: Events database unavailable: ${error.message}`);
+  }
+}
+
+/**
+ * Find or create the Entities database and the Signals relation to it
+ */
+async function setupEntities() {
+  if (!ENTITIES_DB && !ENTITIES_PARENT_PAGE) {
+    console.log('  Entities database not configured - entities will only be listed in the page body');
+    return;
+  }
+  if (DRY_RUN) {
+    console.log('  Dry run - Entities database will not be created or linked');
+    return;
+  }
+
+  try {
+    const { databaseId, created } = await ensureEntitiesDatabase(entityStore, {
+      notion,
+      notionRequest,
+      databaseId: ENTITIES_DB,
+      parentPageId: ENTITIES_PARENT_PAGE,
+    });
+    entitiesRelation = await ensureSignalsRelation({
+      notion,
+      notionRequest,
+      signalsDatabaseId: SIGNALS_DB,
+      signalsProperties,
+      entitiesDatabaseId: databaseId,
+      aliases: PROPERTY_ALIASES.aliases.signals,
+    });
+    console.log(`  Entities database: ${databaseId}${created ? ' (created)' : ''}`);
+    console.log(`  Cached entity pages: ${Object.keys(entityStore.pages).length}`);
+  } catch (error) {
+    console.error(`  Warning: Entities database unavailable: ${error.message}`);
   }
 }
 
+/**
+ * Sync the local seen-article index with signals created since the last run
+ */
+async function syncSeenArticles() {
+  seenIndex = loadSeenIndex({ reset: RESYNC_INDEX });
+  const { pagesSynced, requests } = await syncSeenIndex(seenIndex, {
+    notion,
+    notionRequest,
+    databaseId: SIGNALS_DB,
+    fields: signalFields,
+  });
+  saveSeenIndex(seenIndex);
+
+  console.log(`  Synced ${pagesSynced} signals in ${requests} request${requests === 1 ? '' : 's'}`);
+  console.log(`  Index: ${Object.keys(seenIndex.urls).length} URLs, ${Object.keys(seenIndex.hashes).length} titles`);
+}
+
+/**
+ * Check if signal already exists (local index lookup, no Notion call)
+ * A story counts as existing if any of its source articles was already signalled
+ */
+function signalExists(article) {
+  if (!article.link) return true; // Conservative: skip if no link
+  return (article.sources || [article]).some(source =>
+    source.link && findSeen(seenIndex, source.link, source.title) !== null);
+}
+
+/**
+ * Page ID of the signal an existing story was recorded on (null if the index
+ * entry predates page IDs)
+ */
+function existingSignalPage(article) {
+  for (const source of article.sources || [article]) {
+    const pageId = source.link ? findSeenPage(seenIndex, source.link, source.title) : null;
+    if (pageId) return pageId;
+  }
+  return null;
+}
+
+/**
+ * Format confidence factors for the signal body
+ */
+function formatConfidenceFactors(factors) {
+  if (!factors) return '';
+  return ` (keywords ${factors.keywords}, placement ${factors.placement}, category ${factors.category}, ` +
+    `alignment ${factors.alignment}, recency ${factors.recency}, authority ${factors.authority}` +
+    `${factors.sources > 1 ? `, ${factors.sources} sources` : ''})`;
+}
+
+/**
+ * Build a multi-select property if it exists in the Signals database
+ * (option names can't contain commas and are limited to 100 characters)
+ */
+function multiSelectProperty(name, values) {
+  if (!signalFields[name] || !values || values.length === 0) return {};
+  const options = [...new Set(values.map(v => v.replace(/,/g, ' ').substring(0, 100).trim()))]
+    .filter(v => v.length > 0)
+    .map(v => ({ name: v }));
+  return { [signalFields[name]]: { multi_select: options.slice(0, 100) } };
+}
+
+/**
+ * Build a property of the given type if it exists in the Signals database
+ * (the startup preflight has checked its type)
+ */
+function optionalProperty(name, type, value) {
+  const property = signalFields[name];
+  if (!property || !value) return {};
+  switch (type) {
+    case 'rich_text':
+      return { [property]: { rich_text: [{ text: { content: String(value).substring(0, 2000) } }] } };
+    case 'select':
+      return { [property]: { select: { name: String(value).replace(/,/g, ' ').substring(0, 100) } } };
+    case 'date':
+      return { [property]: { date: { start: value } } };
+    case 'number':
+      return { [property]: { number: value } };
+    case 'checkbox':
+      return { [property]: { checkbox: true } };
+    default:
+      return {};
+  }
+}
+
+/**
+ * Structured Federal Register fields as Signals database properties
+ */
+function regulatoryProperties(regulatory) {
+  if (!regulatory) return {};
+  return {
+    ...optionalProperty('docket_number', 'rich_text', regulatory.docketNumber || regulatory.documentNumber),
+    ...optionalProperty('document_type', 'select', regulatory.documentType),
+    ...optionalProperty('publication_date', 'date', regulatory.publicationDate),
+    ...optionalProperty('comment_deadline', 'date', regulatory.commentDeadline),
+    ...optionalProperty('effective_date', 'date', regulatory.effectiveDate),
+  };
+}
+
+/**
+ * Build the rate-change warning and HTS code list for tariff stories
+ */
+function buildTariffBlocks(article) {
+  const blocks = [];
+  for (const change of article.rateChanges || []) {
+    blocks.push({
+      type: 'callout',
+      callout: {
+        icon: { type: 'emoji', emoji: '⚠️' },
+        rich_text: [{ text: { content: `Duty rate change: HTS ${change.code} reported at ${change.rate}% (last known ${change.previousRate}%)` } }],
+        color: 'red_background',
+      }
+    });
+  }
+  if (article.tariffMentions?.length > 0) {
+    const codes = article.tariffMentions.map(m => `${m.code}${m.rate !== null ? ` (${m.rate}%)` : ''}${m.watched ? ' [watched]' : ''}`);
+    blocks.push({
+      type: 'bulleted_list_item',
+      bulleted_list_item: { rich_text: [{ text: { content: `HTS codes: ${codes.join(', ')}`.substring(0, 2000) } }] }
+    });
+  }
+  return blocks;
+}
+
+/**
+ * Build the "Regulatory Details" section for Federal Register documents
+ */
+function buildRegulatoryBlocks(regulatory) {
+  if (!regulatory) return [];
+  const rows = [
+    ['Agencies', regulatory.agencies.join(', ')],
+    ['Document type', regulatory.documentType],
+    ['Document number', regulatory.documentNumber],
+    ['Docket', regulatory.docketNumber],
+    ['Published', regulatory.publicationDate],
+    ['Comments due', regulatory.commentDeadline],
+    ['Effective', regulatory.effectiveDate],
+  ].filter(([, value]) => value);
+
+  return [
+    {
+      type: 'heading_3',
+      heading_3: { rich_text: [{ text: { content: 'Regulatory Details' } }] }
+    },
+    ...rows.map(([label, value]) => ({
+      type: 'bulleted_list_item',
+      bulleted_list_item: { rich_text: [{ text: { content: `${label}: ${value}`.substring(0, 2000) } }] }
+    })),
+  ];
+}
+
+/**
+ * Build the "Sources" list for stories reported by more than one article
+ */
+function buildSourceBlocks(article) {
+  if (!article.sources || article.sources.length < 2) return [];
+  return [
+    {
+      type: 'heading_3',
+      heading_3: { rich_text: [{ text: { content: `Sources (${article.sources.length})` } }] }
+    },
+    ...article.sources.slice(0, 50).map(source => ({
+      type: 'bulleted_list_item',
+      bulleted_list_item: {
+        rich_text: [
+          { text: { content: `${source.name}: ` } },
+          { text: { content: source.title.substring(0, 1900), link: isValidUrl(source.link) ? { url: source.link } : null } },
+        ]
+      }
+    })),
+  ];
+}
+
+/**
+ * Digest entry for a created signal (pageId is null in dry runs)
+ */
+function digestEntry(article, pageId) {
+  return {
+    pageId,
+    title: article.title,
+    link: article.link,
+    category: article.matchCategory,
+    signalType: article.signalType,
+    confidence: article.confidence,
+    sourceCount: article.sources.length,
+  };
+}
+
+/**
+ * Send a new signal to the notification channels whose filters match
+ * @returns {Promise<object>} { sent, failed, filtered }
+ */
+async function notifySignal(article) {
+  return sendNotification(NOTIFIER, {
+    kind: 'signal',
+    title: article.title,
+    link: article.link,
+    summary: buildSummary(article).substring(0, 500),
+    categories: article.matchCategories,
+    signalType: article.signalType,
+    confidence: article.confidence,
+    source: article.source,
+  }, { dryRun: DRY_RUN });
+}
+
+/**
+ * Data for the signal page template (templates/signal.json)
+ */
+function signalTemplateData(article, published) {
+  return {
+    title: article.title,
+    link: article.link,
+    source: article.source,
+    signalType: article.signalType,
+    categories: article.matchCategories || [article.matchCategory],
+    keywords: article.matchedKeywords || [article.matchedKeyword],
+    quotedKeywords: (article.matchedKeywords || [article.matchedKeyword]).map(k => `"${k}"`),
+    entities: (article.entities || []).map(e => `${e.name} (${e.type})`),
+    event: article.event ? formatEvent(article.event) : null,
+    published,
+    confidence: article.confidence ?? 0.7,
+    confidenceFactors: formatConfidenceFactors(article.confidenceFactors),
+    matchContext: article.matchContext,
+    summary: buildSummary(article),
+    regulatory: article.regulatory || null,
+    tariffBlocks: buildTariffBlocks(article),
+    regulatoryBlocks: buildRegulatoryBlocks(article.regulatory),
+    sourceBlocks: buildSourceBlocks(article),
+  };
+}
+
 /**
  * Create signal in Notion (single API call with children blocks)
+ * @returns {Promise<string|false>} New page ID, or false on failure
  */
 async function createSignal(article) {
   const signalId = `auto-${Date.now()}-${Math.random().toString(36).substring(2, 6)}`;
@@ -389,81 +1332,138 @@ async function createSignal(article) {
 
   try {
     // Create the page with children blocks in a single API call
-    await notionRequest(() => notion.pages.create({
+    const page = await notionRequest(() => notion.pages.create({
       parent: { database_id: SIGNALS_DB },
-      icon: { type: 'emoji', emoji: '📰' },
+      icon: { type: 'emoji', emoji: article.rateChanges?.length > 0 ? '⚠️' : '📰' },
       properties: {
-        'signal_id': { title: [{ text: { content: signalId } }] },
-        'entity': { rich_text: [{ text: { content: article.matchedKeyword.substring(0, 100) } }] },
-        'signal_type': { select: { name: article.signalType } },
-        'content': { rich_text: [{ text: { content: article.title.substring(0, 2000) } }] },
-        'source': { rich_text: [{ text: { content: article.link.substring(0, 2000) } }] },
-        'confidence': { number: 0.7 },
-        'timestamp': { date: { start: timestamp } },
-        'processed': { checkbox: false },
+        [signalFields.signal_id]: { title: [{ text: { content: signalId } }] },
+        [signalFields.entity]: { rich_text: [{ text: { content: article.matchedKeyword.substring(0, 100) } }] },
+        [signalFields.signal_type]: { select: { name: article.signalType } },
+        [signalFields.content]: { rich_text: [{ text: { content: article.title.substring(0, 2000) } }] },
+        [signalFields.source]: { rich_text: [{ text: { content: article.link.substring(0, 2000) } }] },
+        [signalFields.confidence]: { number: article.confidence ?? 0.7 },
+        [signalFields.timestamp]: { date: { start: timestamp } },
+        [signalFields.processed]: { checkbox: false },
+        ...multiSelectProperty('categories', article.matchCategories),
+        ...multiSelectProperty('keywords', article.matchedKeywords),
+        ...regulatoryProperties(article.regulatory),
+        ...optionalProperty('rate_change', 'checkbox', article.rateChanges?.length > 0),
+        ...optionalProperty('last_seen', 'date', new Date().toISOString().split('T')[0]),
+        ...optionalProperty('mention_count', 'number', article.sources?.length || 1),
       },
-      children: [
-        {
-          type: 'heading_2',
-          heading_2: { rich_text: [{ text: { content: '📰 Auto-Detected Signal' } }] }
-        },
-        {
-          type: 'callout',
-          callout: {
-            icon: { type: 'emoji', emoji: '🤖' },
-            rich_text: [{ text: { content: 'This signal was automatically created by the Intel Scanner' } }]
-          }
-        },
-        {
-          type: 'heading_3',
-          heading_3: { rich_text: [{ text: { content: 'Article Details' } }] }
-        },
-        {
-          type: 'bulleted_list_item',
-          bulleted_list_item: { rich_text: [{ text: { content: `Source: ${article.source}` } }] }
-        },
-        {
-          type: 'bulleted_list_item',
-          bulleted_list_item: { rich_text: [{ text: { content: `Category: ${article.matchCategory}` } }] }
-        },
-        {
-          type: 'bulleted_list_item',
-          bulleted_list_item: { rich_text: [{ text: { content: `Matched Keyword: "${article.matchedKeyword}"` } }] }
-        },
-        {
-          type: 'bulleted_list_item',
-          bulleted_list_item: { rich_text: [{ text: { content: `Published: ${timestamp}` } }] }
-        },
-        {
-          type: 'heading_3',
-          heading_3: { rich_text: [{ text: { content: 'Summary' } }] }
-        },
-        {
-          type: 'paragraph',
-          paragraph: { rich_text: [{ text: { content: article.content || 'See source link for full article.' } }] }
-        },
-        {
-          type: 'divider',
-          divider: {}
-        },
-        {
-          type: 'paragraph',
-          paragraph: {
-            rich_text: [{
-              text: { content: 'Read full article', link: { url: article.link } }
-            }]
-          }
-        },
-      ]
+      children: renderPageTemplate(PAGE_TEMPLATES.templates, 'signal', article.signalType, signalTemplateData(article, timestamp)),
     }));
 
-    return true;
+    return page.id;
   } catch (error) {
     console.error(`  Warning: Error creating signal: ${error.message}`);
     return false;
   }
 }
 
+/**
+ * Normalized URLs of the sources already recorded on a signal page: its
+ * source property and the links in the page body (the article link and the
+ * source lists of earlier updates). The seen index may have been lost or
+ * rebuilt from the source property alone, so merges are checked against these.
+ * @returns {Promise<Set<string>>}
+ */
+async function signalSourceLinks(page) {
+  const links = new Set();
+  const source = (page.properties?.[signalFields.source]?.rich_text || []).map(t => t.plain_text).join('');
+  if (source) links.add(normalizeUrl(source));
+
+  let startCursor;
+  do {
+    const response = await notionRequest(() => notion.blocks.children.list({
+      block_id: page.id,
+      page_size: 100,
+      ...(startCursor ? { start_cursor: startCursor } : {}),
+    }));
+    for (const block of response.results) {
+      for (const item of block[block.type]?.rich_text || []) {
+        const url = item.href || item.text?.link?.url;
+        if (url) links.add(normalizeUrl(url));
+      }
+    }
+    startCursor = response.has_more ? response.next_cursor : undefined;
+  } while (startCursor);
+  return links;
+}
+
+/**
+ * Add newly found sources to an existing signal: append them to the page,
+ * update last_seen and mention_count and recompute confidence with the
+ * total mention count (confidence never drops on an update). Sources the
+ * page already lists are skipped, so they are not appended or counted twice.
+ * @param {object} article - Rediscovered story
+ * @param {string} pageId - Existing signal page
+ * @param {object[]} newSources - Sources not in the seen index
+ * @returns {Promise<object|null|false>} { added, mentionCount, confidence, previousConfidence }
+ *   (nothing is written when added is empty), null if the page was archived,
+ *   or false on failure
+ */
+async function mergeIntoSignal(article, pageId, newSources) {
+  const today = new Date().toISOString().split('T')[0];
+
+  try {
+    const page = await notionRequest(() => notion.pages.retrieve({ page_id: pageId }));
+    if (page.archived) return null;
+
+    const recorded = await signalSourceLinks(page);
+    const added = newSources.filter(source => !recorded.has(normalizeUrl(source.link)));
+    if (added.length === 0) return { added };
+
+    const properties = page.properties || {};
+    const previousCount = properties[signalFields.mention_count]?.number || Math.max(1, recorded.size);
+    const mentionCount = previousCount + added.length;
+    const previousConfidence = properties[signalFields.confidence]?.number ?? null;
+    const { confidence: recomputed } = calculateSignalConfidence({ ...article, mentionCount });
+    const confidence = Math.max(previousConfidence ?? 0, recomputed);
+
+    await notionRequest(() => notion.pages.update({
+      page_id: pageId,
+      properties: {
+        [signalFields.confidence]: { number: confidence },
+        ...optionalProperty('last_seen', 'date', today),
+        ...optionalProperty('mention_count', 'number', mentionCount),
+      },
+    }));
+
+    await notionRequest(() => notion.blocks.children.append({
+      block_id: pageId,
+      children: renderPageTemplate(PAGE_TEMPLATES.templates, 'signal-update', article.signalType, {
+        date: today,
+        sources: added.map(source => ({ ...source, link: isValidUrl(source.link) ? source.link : '' })),
+        mentionCount,
+        previousConfidence,
+        confidence,
+      }),
+    }));
+
+    return { added, mentionCount, confidence, previousConfidence };
+  } catch (error) {
+    console.error(`  Warning: Error updating signal: ${error.message}`);
+    return false;
+  }
+}
+
+/**
+ * Record the entities of a created signal (mention counts, Entities pages)
+ * and link them to the signal page
+ * @returns {Promise<number>} Entities linked
+ */
+async function linkSignalEntities(article, pageId) {
+  const entityPageIds = await linkEntities(entityStore, article.entities, { notion, notionRequest });
+  if (entityPageIds.length === 0) return 0;
+
+  await notionRequest(() => notion.pages.update({
+    page_id: pageId,
+    properties: { [entitiesRelation]: { relation: entityPageIds.map(id => ({ id })) } },
+  }));
+  return entityPageIds.length;
+}
+
 // ============================================================================
 // MAIN EXECUTION
 // ============================================================================
@@ -477,6 +1477,8 @@ async function main() {
   console.log('');
   console.log(`Started: ${new Date().toISOString()}`);
   if (DRY_RUN) console.log('Mode: DRY RUN (no signals will be created)');
+  if (SINCE) console.log(`Mode: RESCAN since ${SINCE.toISOString().split('T')[0]}`);
+  if (OUTPUT_FILE) console.log(`Report: ${OUTPUT_FILE}`);
   console.log('');
 
   // Validate environment
@@ -488,18 +1490,67 @@ async function main() {
     console.error('Error: SIGNALS_DATABASE_ID environment variable not set');
     process.exit(1);
   }
+  if (PROPERTY_ALIASES.error) {
+    console.error(`Error: Invalid property aliases ${PROPERTY_ALIASES.error}`);
+    process.exit(1);
+  }
+  if (OUTPUT_FILE && !reportFormat(OUTPUT_FILE)) {
+    console.error(`Error: Unsupported --output format "${OUTPUT_FILE}" (use ${Object.keys(REPORT_FORMATS).join(', ')})`);
+    process.exit(1);
+  }
 
   try {
-    // Test Notion connection
-    console.log('Testing Notion connection...');
-    await notionRequest(() => notion.databases.retrieve({ database_id: SIGNALS_DB }));
-    console.log('Notion connection successful');
+    // Check the Signals database schema before fetching anything
+    console.log('Checking Signals database schema...');
+    const signalsCheck = await preflightDatabase({ notion, notionRequest }, DATABASE_SCHEMAS.signals, SIGNALS_DB, PROPERTY_ALIASES.aliases.signals);
+    signalsProperties = signalsCheck.database.properties || {};
+    signalFields = signalsCheck.fields;
+    console.log('Notion connection successful, schema OK');
+    for (const name of ['categories', 'keywords']) {
+      if (!signalFields[name]) {
+        console.log(`  Note: Signals database has no "${name}" multi-select property - matches will only be listed in the page body`);
+      }
+    }
+    if (FEDERAL_REGISTER_ENABLED) {
+      const missing = ['docket_number', 'document_type', 'comment_deadline', 'effective_date'].filter(name => !signalFields[name]);
+      if (missing.length > 0) {
+        console.log(`  Note: Signals database has no ${missing.join(', ')} properties - Federal Register details will only be listed in the page body`);
+      }
+    }
+    console.log('');
+
+    // Load feeds and keywords (Notion-managed or built-in)
+    console.log('Loading sources & keywords...');
+    await loadConfiguration();
+    console.log('');
+
+    // Entities database (optional)
+    console.log('Setting up entities...');
+    await setupEntities();
+    console.log('');
+
+    // Events database (optional)
+    console.log('Setting up events...');
+    await setupEvents();
+    console.log('');
+
+    // Tariff Watch database (optional)
+    console.log('Setting up tariff watch...');
+    await setupTariffWatch();
+    console.log('');
+
+    // Sync seen-article index (replaces per-article duplicate queries)
+    console.log(`${RESYNC_INDEX ? 'Rebuilding' : 'Syncing'} seen-article index...`);
+    await syncSeenArticles();
     console.log('');
 
     // Step 1: Fetch RSS feeds
     console.log('Step 1: Fetching RSS feeds...');
     const rssArticles = await fetchRSSFeeds();
     console.log(`  Found ${rssArticles.length} articles from RSS feeds`);
+    if (FEED_HEALTH_PAGE) {
+      await updateFeedHealthPage();
+    }
     console.log('');
 
     // Step 2: Fetch Google News (if API key available)
@@ -508,51 +1559,244 @@ async function main() {
     console.log(`  Found ${googleArticles.length} articles from Google News`);
     console.log('');
 
-    // Step 3: Match against keywords
-    console.log('Step 3: Matching articles against keywords...');
-    const allArticles = [...rssArticles, ...googleArticles];
-    const matched = matchArticles(allArticles);
-    console.log(`  Matched ${matched.length} articles to keywords`);
+    // Step 3: Fetch Federal Register documents
+    console.log('Step 3: Fetching Federal Register documents...');
+    const federalRegisterArticles = await fetchFederalRegister();
+    console.log(`  Found ${federalRegisterArticles.length} Federal Register documents`);
+    console.log('');
+
+    const allArticles = [...rssArticles, ...googleArticles, ...federalRegisterArticles];
+
+    // Optional: extract full article text for matching and summaries
+    if (EXTRACT_FULL_TEXT) {
+      console.log('Extracting full article text...');
+      const extraction = await extractFullText(allArticles);
+      console.log(`  Extracted ${extraction.extracted}, skipped ${extraction.skipped}, failed ${extraction.failed}`);
+      console.log('');
+    }
+
+    // Step 4: Match against keywords
+    console.log('Step 4: Matching articles against keywords...');
+    const matchedArticles = matchArticles(allArticles);
+    const allMatched = clusterStories(matchedArticles);
+    const matched = allMatched.filter(article => article.confidence >= MIN_CONFIDENCE);
+    const belowConfidence = allMatched.length - matched.length;
+    console.log(`  Matched ${matchedArticles.length} articles to keywords`);
+    console.log(`  Grouped into ${allMatched.length} stories (${allMatched.filter(a => a.sources.length > 1).length} multi-source)`);
+    tagEntities(allMatched);
+    console.log(`  Tagged ${allMatched.reduce((sum, a) => sum + a.entities.length, 0)} entity mentions`);
+    tagEvents(allMatched);
+    console.log(`  Found ${allMatched.filter(a => a.event).length} trade-show events`);
+    tagTariffs(allMatched);
+    console.log(`  Found ${allMatched.reduce((sum, a) => sum + (a.tariffMentions || []).length, 0)} HTS code mentions`);
+    if (MIN_CONFIDENCE > 0) {
+      console.log(`  ${belowConfidence} below minimum confidence ${MIN_CONFIDENCE}`);
+    }
     console.log('');
 
-    // Step 4: Create signals
-    console.log('Step 4: Creating Notion signals...');
+    // Step 5: Create signals
+    console.log('Step 5: Creating Notion signals...');
     let created = 0;
     let skipped = 0;
     let duplicates = 0;
+    let updated = 0;
+    let eventsUpserted = 0;
+    let rateChanges = 0;
+    const digestSignals = [];
+    const notifications = { sent: 0, failed: 0 };
+    const results = new Map(); // Story -> { decision, pageId } for the --output report
 
     for (const article of matched) {
       // Check for duplicates
-      const exists = await signalExists(article.link);
+      const exists = signalExists(article);
       if (exists) {
-        duplicates++;
+        // A rediscovered story with new sources is merged into its signal
+        const pageId = existingSignalPage(article);
+        const newSources = (article.sources || [article]).filter(source =>
+          source.link && findSeen(seenIndex, source.link, source.title) === null);
+        if (!pageId || newSources.length === 0) {
+          duplicates++;
+          results.set(article, { decision: 'duplicate' });
+          continue;
+        }
+
+        if (DRY_RUN) {
+          console.log(`  [DRY RUN] Would add ${newSources.length} source(s) to: ${article.title.substring(0, 60)}...`);
+          updated++;
+          results.set(article, { decision: 'would_update', pageId });
+        } else {
+          const merge = await mergeIntoSignal(article, pageId, newSources);
+          if (merge === null) {
+            duplicates++;
+            results.set(article, { decision: 'duplicate' });
+            continue;
+          }
+          if (merge && merge.added.length === 0) {
+            // Already on the page (the index was lost or rebuilt) - just re-index them
+            for (const source of newSources) {
+              markSeen(seenIndex, source.link, source.title, { pageId });
+            }
+            duplicates++;
+            results.set(article, { decision: 'duplicate' });
+            continue;
+          }
+          results.set(article, merge ? { decision: 'updated', pageId } : { decision: 'failed' });
+          if (merge) {
+            for (const source of newSources) {
+              markSeen(seenIndex, source.link, source.title, { pageId });
+            }
+            console.log(`  Updated: ${article.title.substring(0, 60)}... ` +
+              `(+${merge.added.length} source(s), ${merge.mentionCount} mentions, ` +
+              `confidence ${merge.previousConfidence ?? 'n/a'} -> ${merge.confidence})`);
+            updated++;
+          }
+        }
+        await sleep(300); // Rate limit
         continue;
       }
 
+      // Compare reported duty rates with the Tariff Watch database (read-only)
+      if (TARIFF_WATCH_DB && article.tariffMentions?.length > 0) {
+        try {
+          article.rateChanges = await detectRateChanges(article.tariffMentions, { notion, notionRequest, databaseId: TARIFF_WATCH_DB });
+          for (const change of article.rateChanges) {
+            console.log(`  Rate change: HTS ${change.code} ${change.previousRate}% -> ${change.rate}%`);
+          }
+          rateChanges += article.rateChanges.length;
+        } catch (error) {
+          console.error(`  Warning: Could not check tariff rates: ${error.message}`);
+        }
+      }
+
       if (DRY_RUN) {
         console.log(`  [DRY RUN] Would create: ${article.title.substring(0, 60)}...`);
+        if (article.entities.length > 0) {
+          console.log(`            Entities: ${article.entities.map(e => e.name).join(', ')}`);
+        }
+        if (article.event) {
+          console.log(`            Event: ${formatEvent(article.event)}`);
+        }
         skipped++;
+        results.set(article, { decision: 'would_create' });
+        digestSignals.push(digestEntry(article, null));
+        if (NOTIFIER.channels.length > 0) {
+          const result = await notifySignal(article);
+          notifications.sent += result.sent;
+        }
       } else {
-        const success = await createSignal(article);
-        if (success) {
+        const pageId = await createSignal(article);
+        results.set(article, pageId ? { decision: 'created', pageId } : { decision: 'failed' });
+        if (pageId) {
           console.log(`  Created: ${article.title.substring(0, 60)}...`);
+          for (const source of article.sources) {
+            markSeen(seenIndex, source.link, source.title, { pageId });
+          }
           created++;
+          digestSignals.push(digestEntry(article, pageId));
+
+          if (NOTIFIER.channels.length > 0) {
+            const result = await notifySignal(article);
+            notifications.sent += result.sent;
+            notifications.failed += result.failed;
+          }
+
+          if (entitiesRelation && article.entities?.length > 0) {
+            try {
+              await linkSignalEntities(article, pageId);
+            } catch (error) {
+              console.error(`  Warning: Could not link entities: ${error.message}`);
+            }
+          }
+
+          if (article.event && eventsReady) {
+            try {
+              const result = await upsertEvent(article.event, pageId, { notion, notionRequest, databaseId: EVENTS_DB });
+              console.log(`    ${result.created ? 'Added' : 'Updated'} event: ${formatEvent(article.event)}`);
+              eventsUpserted++;
+            } catch (error) {
+              console.error(`  Warning: Could not upsert event ${article.event.key}: ${error.message}`);
+            }
+          }
+
+          if (article.tariffMentions?.length > 0 && tariffWatchReady) {
+            try {
+              const date = new Date().toISOString().split('T')[0];
+              await recordTariffMentions(article.tariffMentions, { pageId, title: article.title, date }, {
+                notion,
+                notionRequest,
+                databaseId: TARIFF_WATCH_DB,
+              });
+            } catch (error) {
+              console.error(`  Warning: Could not update Tariff Watch: ${error.message}`);
+            }
+          }
         }
       }
 
       await sleep(300); // Rate limit
     }
 
+    if (OUTPUT_FILE) {
+      console.log('');
+      console.log('Writing scan report...');
+      try {
+        const report = buildScanReport({
+          articles: allArticles,
+          matchedArticles,
+          stories: allMatched,
+          results,
+          options: {
+            dryRun: DRY_RUN,
+            since: SINCE ? SINCE.toISOString().split('T')[0] : null,
+            minConfidence: MIN_CONFIDENCE,
+            storySimilarity: STORY_SIMILARITY_THRESHOLD,
+          },
+        });
+        const format = writeScanReport(OUTPUT_FILE, report);
+        console.log(`  Wrote ${format} report (${report.articles.length} articles, ${report.stories.length} stories) to ${OUTPUT_FILE}`);
+      } catch (error) {
+        console.error(`  Warning: Could not write scan report: ${error.message}`);
+      }
+    }
+
+    if (DIGEST_PARENT_PAGE) {
+      console.log('');
+      console.log('Creating daily digest...');
+      await publishDigest(digestSignals);
+    }
+
+    saveSeenIndex(seenIndex);
+    if (!DRY_RUN) {
+      // Only remember feed state once its items have been turned into signals
+      const failedLinks = new Set();
+      for (const [story, result] of results) {
+        if (result.decision !== 'failed') continue;
+        for (const source of story.sources || [story]) failedLinks.add(source.link);
+      }
+      recordProcessedFeeds(failedLinks);
+      saveFeedCache(feedCache);
+      saveEntityStore(entityStore);
+    }
+
     // Summary
     console.log('');
     console.log('════════════════════════════════════════════════════════════');
     console.log('SUMMARY');
     console.log('════════════════════════════════════════════════════════════');
     console.log(`Total articles scanned:  ${allArticles.length}`);
-    console.log(`Articles matched:        ${matched.length}`);
+    console.log(`Articles matched:        ${matchedArticles.length}`);
+    console.log(`Stories:                 ${allMatched.length}`);
+    if (MIN_CONFIDENCE > 0) console.log(`Below confidence cutoff: ${belowConfidence}`);
     console.log(`Signals created:         ${created}`);
+    console.log(`Signals updated:         ${updated}${DRY_RUN ? ' (dry run)' : ''}`);
     console.log(`Duplicates skipped:      ${duplicates}`);
+    if (eventsReady) console.log(`Events upserted:         ${eventsUpserted}`);
+    if (TARIFF_WATCH_DB) console.log(`Rate changes flagged:    ${rateChanges}`);
+    if (NOTIFIER.channels.length > 0) {
+      console.log(`Notifications sent:      ${notifications.sent}${notifications.failed > 0 ? ` (${notifications.failed} failed)` : ''}`);
+    }
     if (DRY_RUN) console.log(`Would create (dry run):  ${skipped}`);
+    console.log(`Notion API:              ${formatNotionStats(notionStats)}`);
     console.log(`Completed:               ${new Date().toISOString()}`);
     console.log('');
 
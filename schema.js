@@ -0,0 +1,162 @@
+#!/usr/bin/env node
+/**
+ * Schema Manager
+ *
+ * Compares the Trend Monitors and Signals databases with the declared schema
+ * (notion-schema.js) and brings them up to date:
+ *
+ *   plan  - Show missing properties and select options, a misnamed title
+ *           property and type conflicts, without changing anything
+ *   apply - Add the missing properties and options, rename the title
+ *           property and record the schema version in the database description
+ *
+ * Type conflicts are never changed automatically (that would drop data);
+ * apply reports them and exits with an error.
+ *
+ * Usage:
+ *   node schema.js plan                        # Diff both databases
+ *   node schema.js apply                       # Apply the changes
+ *   node schema.js apply --database=signals    # Only one database (monitors, signals)
+ *
+ * Required environment variables:
+ *   NOTION_TOKEN - Notion API integration token
+ *   MONITORS_DATABASE_ID and/or SIGNALS_DATABASE_ID - Databases to manage
+ *
+ * Optional:
+ *   SIGNAL_TAXONOMY_FILE - JSON file with signal types (signal_type options)
+ *   PROPERTY_ALIASES_FILE - JSON file mapping schema properties to other names
+ */
+
+const { loadTaxonomy } = require('./signal-taxonomy');
+const {
+  SCHEMA_VERSION, DATABASE_SCHEMAS, signalsSchema, planSchema, describeChange, applySchema, loadPropertyAliases,
+} = require('./notion-schema');
+const { createNotionClient, formatNotionStats } = require('./notion-client');
+
+const { notion, notionRequest, notionStats } = createNotionClient({ auth: process.env.NOTION_TOKEN });
+
+const COMMANDS = ['plan', 'apply'];
+const COMMAND = process.argv[2];
+
+/**
+ * Read a command-line option value (--name=value or --name value)
+ */
+function getArgValue(name) {
+  const args = process.argv.slice(2);
+  for (let i = 0; i < args.length; i++) {
+    if (args[i] === name) return args[i + 1] || null;
+    if (args[i].startsWith(`${name}=`)) return args[i].substring(name.length + 1);
+  }
+  return null;
+}
+
+const DATABASE_FILTER = getArgValue('--database');
+
+/**
+ * Plan (and with apply, update) one database
+ * @param {object} schema - Database schema
+ * @param {object} aliases - Property aliases for the database
+ * @returns {Promise<object>} { changes, conflicts, applied }
+ */
+async function syncDatabase(schema, aliases) {
+  const databaseId = process.env[schema.env];
+  console.log(`${schema.label} database (${schema.env})`);
+
+  const database = await notionRequest(() => notion.databases.retrieve({ database_id: databaseId }));
+  const plan = planSchema(schema, database, aliases);
+  console.log(`  Recorded schema version: ${plan.version ?? 'none'} (current: ${SCHEMA_VERSION})`);
+
+  for (const change of [...plan.changes, ...plan.conflicts]) {
+    console.log(`  ${describeChange(change)}`);
+  }
+  if (plan.changes.length === 0 && plan.conflicts.length === 0) {
+    console.log('  Up to date');
+  }
+
+  let applied = false;
+  if (COMMAND === 'apply') {
+    applied = await applySchema(schema, database, plan, { notion, notionRequest });
+    if (applied) {
+      console.log(`  Applied ${plan.changes.length} change(s)${plan.conflicts.length === 0 ? `, recorded schema version ${SCHEMA_VERSION}` : ''}`);
+    }
+  }
+  console.log('');
+
+  return { changes: plan.changes.length, conflicts: plan.conflicts.length, applied };
+}
+
+async function main() {
+  console.log('='.repeat(60));
+  console.log(`Notion Schema ${COMMAND === 'apply' ? 'Apply' : 'Plan'}`);
+  console.log('='.repeat(60));
+  console.log('');
+
+  if (!COMMANDS.includes(COMMAND)) {
+    console.error(`Usage: node schema.js <${COMMANDS.join('|')}> [--database=${Object.keys(DATABASE_SCHEMAS).join('|')}]`);
+    process.exit(1);
+  }
+  if (!process.env.NOTION_TOKEN) {
+    console.error('Error: NOTION_TOKEN environment variable not set');
+    process.exit(1);
+  }
+  if (DATABASE_FILTER && !DATABASE_SCHEMAS[DATABASE_FILTER]) {
+    console.error(`Error: Unknown database "${DATABASE_FILTER}" (use ${Object.keys(DATABASE_SCHEMAS).join(', ')})`);
+    process.exit(1);
+  }
+
+  const { taxonomy, source, error } = loadTaxonomy(process.env.SIGNAL_TAXONOMY_FILE);
+  if (error) {
+    console.error(`Error: Invalid signal taxonomy ${error}`);
+    process.exit(1);
+  }
+  const schemas = { ...DATABASE_SCHEMAS, signals: signalsSchema(taxonomy) };
+
+  const { aliases, source: aliasSource, error: aliasError } = loadPropertyAliases(process.env.PROPERTY_ALIASES_FILE);
+  if (aliasError) {
+    console.error(`Error: Invalid property aliases ${aliasError}`);
+    process.exit(1);
+  }
+
+  const selected = Object.keys(schemas).filter(key => !DATABASE_FILTER || key === DATABASE_FILTER);
+  const configured = selected.filter(key => process.env[schemas[key].env]);
+  for (const key of selected.filter(key => !configured.includes(key))) {
+    console.log(`Skipping ${schemas[key].label} database: ${schemas[key].env} not set`);
+  }
+  if (configured.length === 0) {
+    console.error(`Error: Set ${selected.map(key => schemas[key].env).join(' or ')}`);
+    process.exit(1);
+  }
+  console.log(`Signal types from: ${source}`);
+  if (aliasSource !== 'none') console.log(`Property aliases from: ${aliasSource}`);
+  console.log('');
+
+  try {
+    const totals = { changes: 0, conflicts: 0 };
+    for (const key of configured) {
+      const result = await syncDatabase(schemas[key], aliases[key]);
+      totals.changes += result.changes;
+      totals.conflicts += result.conflicts;
+    }
+
+    console.log('='.repeat(60));
+    console.log('Summary:');
+    console.log(`  - ${COMMAND === 'apply' ? 'Changes applied' : 'Pending changes'}: ${totals.changes}`);
+    console.log(`  - Type conflicts: ${totals.conflicts}`);
+    console.log(`  - Notion API: ${formatNotionStats(notionStats)}`);
+    if (totals.conflicts > 0) {
+      console.log('  Conflicting properties must be renamed or retyped in Notion before they can be managed.');
+    }
+    if (COMMAND === 'plan' && totals.changes > 0) {
+      console.log('  Run "node schema.js apply" to apply the changes.');
+    }
+    console.log('='.repeat(60));
+
+    process.exit(totals.conflicts > 0 ? 1 : 0);
+  } catch (error) {
+    console.error('');
+    console.error('ERROR:', error.message);
+    process.exit(1);
+  }
+}
+
+main();
@@ -0,0 +1,153 @@
+/**
+ * Seen-Article Index
+ *
+ * Local persistent index of articles that already have a signal in Notion,
+ * keyed by normalized URL and by a hash of the normalized title, with the
+ * date each was seen and the signal page it belongs to. It replaces
+ * one Notion query per matched article with an incremental sync of the Signals
+ * database (one query per 100 new signals) followed by local lookups.
+ *
+ * Stored as seen-index.json in the scanner state directory.
+ */
+
+const crypto = require('crypto');
+const { readState, writeState } = require('./state-store');
+const { normalizeUrl } = require('./article-dedup');
+
+const STATE_NAME = 'seen-index';
+const INDEX_VERSION = 2; // 2: entries are { date, pageId }
+
+// Titles shorter than this are too generic to dedupe on
+const MIN_HASH_WORDS = 4;
+
+/**
+ * Hash a normalized article title, or return null if it is too short to be distinctive
+ */
+function hashContent(title) {
+  if (!title) return null;
+  const words = title.toLowerCase().replace(/[^a-z0-9\s]/g, ' ').split(/\s+/).filter(w => w.length > 0);
+  if (words.length < MIN_HASH_WORDS) return null;
+  return crypto.createHash('sha1').update(words.join(' ')).digest('hex').substring(0, 16);
+}
+
+/**
+ * Load the index from disk (empty index if missing or from an older version)
+ * @param {object} [options]
+ * @param {boolean} [options.reset] - Ignore the stored index and resync from scratch
+ */
+function loadSeenIndex(options = {}) {
+  const empty = { version: INDEX_VERSION, lastSyncedAt: null, urls: {}, hashes: {} };
+  if (options.reset) return empty;
+
+  const stored = readState(STATE_NAME, null);
+  if (!stored || stored.version !== INDEX_VERSION) return empty;
+  return { ...empty, ...stored };
+}
+
+/**
+ * Persist the index to disk
+ */
+function saveSeenIndex(index) {
+  return writeState(STATE_NAME, index);
+}
+
+/**
+ * Check whether an article (by link or title) is already in the index
+ * @returns {string|null} 'url' or 'content' describing the match, or null
+ */
+function findSeen(index, link, title) {
+  const urlKey = normalizeUrl(link);
+  if (urlKey && index.urls[urlKey]) return 'url';
+
+  const hash = hashContent(title);
+  if (hash && index.hashes[hash]) return 'content';
+
+  return null;
+}
+
+/**
+ * Find the signal page an article (by link or title) was added to
+ * @returns {string|null} Notion page ID, or null if unknown
+ */
+function findSeenPage(index, link, title) {
+  const urlKey = normalizeUrl(link);
+  if (urlKey && index.urls[urlKey]?.pageId) return index.urls[urlKey].pageId;
+
+  const hash = hashContent(title);
+  return (hash && index.hashes[hash]?.pageId) || null;
+}
+
+/**
+ * Add an article to the index
+ * @param {object} [options] - { date (YYYY-MM-DD, default today), pageId (signal page) }
+ */
+function markSeen(index, link, title, { date = new Date().toISOString().split('T')[0], pageId = null } = {}) {
+  const entry = (existing) => ({ date, pageId: pageId || existing?.pageId || null });
+
+  const urlKey = normalizeUrl(link);
+  if (urlKey) index.urls[urlKey] = entry(index.urls[urlKey]);
+
+  const hash = hashContent(title);
+  if (hash) index.hashes[hash] = entry(index.hashes[hash]);
+}
+
+/**
+ * Incrementally sync the index with signals created in Notion since the last sync
+ * @param {object} index - Index from loadSeenIndex()
+ * @param {object} options
+ * @param {object} options.notion - Notion client
+ * @param {function} options.notionRequest - Retry wrapper for Notion calls
+ * @param {string} options.databaseId - Signals database ID
+ * @param {object} [options.fields] - Actual names of the source and content properties
+ * @returns {Promise<object>} { pagesSynced, requests }
+ */
+async function syncSeenIndex(index, { notion, notionRequest, databaseId, fields = {} }) {
+  const sourceProperty = fields.source || 'source';
+  const contentProperty = fields.content || 'content';
+  let pagesSynced = 0;
+  let requests = 0;
+  let latest = index.lastSyncedAt;
+  let hasMore = true;
+  let startCursor = undefined;
+
+  while (hasMore) {
+    const response = await notionRequest(() => notion.databases.query({
+      database_id: databaseId,
+      filter: index.lastSyncedAt
+        ? { timestamp: 'created_time', created_time: { on_or_after: index.lastSyncedAt } }
+        : undefined,
+      sorts: [{ timestamp: 'created_time', direction: 'ascending' }],
+      start_cursor: startCursor,
+      page_size: 100,
+    }));
+    requests++;
+
+    for (const page of response.results) {
+      const props = page.properties || {};
+      const link = (props[sourceProperty]?.rich_text || []).map(t => t.plain_text).join('');
+      const title = (props[contentProperty]?.rich_text || []).map(t => t.plain_text).join('');
+      const date = page.created_time ? page.created_time.split('T')[0] : undefined;
+
+      markSeen(index, /^https?:\/\//.test(link) ? link : '', title, { date, pageId: page.id });
+      pagesSynced++;
+
+      if (!latest || page.created_time > latest) latest = page.created_time;
+    }
+
+    hasMore = response.has_more;
+    startCursor = response.next_cursor;
+  }
+
+  index.lastSyncedAt = latest;
+  return { pagesSynced, requests };
+}
+
+module.exports = {
+  hashContent,
+  loadSeenIndex,
+  saveSeenIndex,
+  findSeen,
+  findSeenPage,
+  markSeen,
+  syncSeenIndex,
+};
@@ -0,0 +1,190 @@
+/**
+ * Signal Confidence Scoring
+ *
+ * Computes a 0-1 relevance confidence for scanner signals from six factors:
+ *
+ *   Keywords (25%)   - Number of distinct keywords hit
+ *   Placement (20%)  - Keyword in the title vs only in the body
+ *   Category (15%)   - Business importance of the matched categories
+ *   Alignment (15%)  - Whether the feed normally covers the matched category
+ *   Recency (10%)    - Article freshness (exponential decay)
+ *   Authority (15%)  - Source reliability
+ *
+ * Stories reported by several independent sources get a corroboration boost
+ * that closes part of the remaining gap to 1.0. When an existing signal gains
+ * sources over several runs, its total mentionCount is used as the source
+ * count if it is higher.
+ */
+
+const FACTOR_WEIGHTS = {
+  keywords: 0.25,
+  placement: 0.20,
+  category: 0.15,
+  alignment: 0.15,
+  recency: 0.10,
+  authority: 0.15,
+};
+
+// Business importance per keyword category (0-1)
+const CATEGORY_IMPORTANCE = {
+  regulations: 1.0,
+  tariffs: 1.0,
+  compliance: 0.9,
+  competitors: 0.9,
+  mergers_acquisitions: 0.85,
+  banking_payments: 0.8,
+  supply_chain: 0.7,
+  market: 0.6,
+  trade_shows: 0.6,
+  technology: 0.5,
+};
+const DEFAULT_CATEGORY_IMPORTANCE = 0.5;
+
+// Keyword categories each feed category is expected to cover
+const FEED_CATEGORY_ALIGNMENT = {
+  cannabis: ['competitors', 'market', 'mergers_acquisitions', 'banking_payments', 'technology', 'trade_shows', 'regulations', 'compliance'],
+  legal: ['regulations', 'compliance', 'banking_payments'],
+  hemp: ['regulations', 'compliance', 'market'],
+  trade: ['tariffs', 'supply_chain'],
+  regulation: ['regulations', 'compliance'],
+  supply_chain: ['supply_chain', 'tariffs'],
+  federal_register: ['regulations', 'compliance', 'tariffs'],
+};
+const ALIGNED_SCORE = 1.0;
+const MISALIGNED_SCORE = 0.4;
+const UNKNOWN_ALIGNMENT_SCORE = 0.75; // e.g. Google News results, already query-targeted
+
+// Source reliability by feed name (0-1)
+const SOURCE_AUTHORITY = {
+  'Federal Register': 1.0,
+  'CBP Trade': 1.0,
+  'CBP Forced Labor': 1.0,
+  'MJBizDaily': 0.9,
+  'JOC Trade': 0.9,
+  'JOC Supply Chain': 0.9,
+  'JOC Trans-Pacific': 0.9,
+  'JOC Container Shipping': 0.9,
+  'Marijuana Moment': 0.85,
+  'Hemp Industry Daily': 0.85,
+  'FreightWaves': 0.85,
+  'Tobacco Reporter': 0.8,
+  'Cannabis Industry Journal': 0.8,
+  'SCMP China': 0.8,
+  'Leafly News': 0.7,
+  'High Times': 0.65,
+};
+const DEFAULT_SOURCE_AUTHORITY = 0.6;
+
+// Each extra independent source closes 10% of the gap to 1.0, up to 30%
+const CORROBORATION_STEP = 0.1;
+const MAX_CORROBORATION_BOOST = 0.3;
+
+// Articles lose half their recency weight every 2 days
+const RECENCY_HALF_LIFE_DAYS = 2;
+
+/**
+ * Score the number of distinct keywords hit (1 -> 0.4, 2 -> 0.7, 3+ -> 1.0)
+ */
+function keywordScore(matches) {
+  const distinct = new Set(matches.map(m => m.keyword)).size;
+  return Math.min(1, 0.1 + 0.3 * distinct);
+}
+
+/**
+ * Score keyword placement: any hit in the title scores full marks
+ */
+function placementScore(matches) {
+  return matches.some(m => m.inTitle) ? 1.0 : 0.5;
+}
+
+/**
+ * Score category importance (most important matched category)
+ */
+function categoryScore(matches) {
+  return Math.max(...matches.map(m => CATEGORY_IMPORTANCE[m.category] ?? DEFAULT_CATEGORY_IMPORTANCE));
+}
+
+/**
+ * Score whether the feed's category normally covers any matched category
+ */
+function alignmentScore(feedCategory, matches) {
+  const covered = FEED_CATEGORY_ALIGNMENT[feedCategory];
+  if (!covered) return UNKNOWN_ALIGNMENT_SCORE;
+  return matches.some(m => covered.includes(m.category)) ? ALIGNED_SCORE : MISALIGNED_SCORE;
+}
+
+/**
+ * Score article freshness using exponential decay
+ */
+function recencyScore(pubDate, now = new Date()) {
+  if (!(pubDate instanceof Date) || isNaN(pubDate)) return 0.5;
+  const daysOld = Math.max(0, (now - pubDate) / (1000 * 60 * 60 * 24));
+  return Math.pow(2, -daysOld / RECENCY_HALF_LIFE_DAYS);
+}
+
+/**
+ * Score source reliability (explicit article authority wins over the name table)
+ */
+function authorityScore(article) {
+  if (typeof article.sourceAuthority === 'number') {
+    return Math.min(1, Math.max(0, article.sourceAuthority));
+  }
+  return SOURCE_AUTHORITY[article.source] ?? DEFAULT_SOURCE_AUTHORITY;
+}
+
+/**
+ * Count distinct sources reporting a story (case-insensitive source names),
+ * or the signal's mentionCount across runs if higher
+ */
+function independentSourceCount(article) {
+  const names = (article.sources || []).map(s => (s.name || '').toLowerCase().trim()).filter(n => n.length > 0);
+  return Math.max(1, new Set(names).size, article.mentionCount || 0);
+}
+
+/**
+ * Calculate signal confidence for a matched article
+ * @param {object} article - Matched article with matches[], category, source, pubDate
+ *   and optionally sources[] ({ name }) when several outlets carried the story
+ *   and mentionCount (sources recorded on an existing signal)
+ * @returns {object} { confidence: number (0-1, 2 decimals), factors: object }
+ */
+function calculateSignalConfidence(article) {
+  const matches = article.matches && article.matches.length > 0
+    ? article.matches
+    : [{ keyword: article.matchedKeyword, category: article.matchCategory, inTitle: false }];
+
+  const factors = {
+    keywords: keywordScore(matches),
+    placement: placementScore(matches),
+    category: categoryScore(matches),
+    alignment: alignmentScore(article.category, matches),
+    recency: recencyScore(article.pubDate),
+    authority: authorityScore(article),
+  };
+
+  let confidence = 0;
+  for (const [factor, weight] of Object.entries(FACTOR_WEIGHTS)) {
+    confidence += factors[factor] * weight;
+  }
+
+  const sourceCount = independentSourceCount(article);
+  const boost = Math.min(MAX_CORROBORATION_BOOST, CORROBORATION_STEP * (sourceCount - 1));
+  confidence += (1 - confidence) * boost;
+
+  for (const factor of Object.keys(factors)) {
+    factors[factor] = Math.round(factors[factor] * 100) / 100;
+  }
+  factors.sources = sourceCount;
+
+  return {
+    confidence: Math.round(Math.min(1, Math.max(0, confidence)) * 100) / 100,
+    factors,
+  };
+}
+
+module.exports = {
+  FACTOR_WEIGHTS,
+  CATEGORY_IMPORTANCE,
+  SOURCE_AUTHORITY,
+  calculateSignalConfidence,
+};
@@ -0,0 +1,134 @@
+/**
+ * Signal Taxonomy
+ *
+ * Defines the signal types the scanner can assign and the rules that pick a
+ * type for each keyword match. Rules are checked in order; a rule applies when
+ * the match's category is in its `categories` (if given) and any of its
+ * `keywords` expressions matches the article text (if given). The first rule
+ * that applies wins, otherwise the `fallback` type is used.
+ *
+ * The order of `types` is also the default precedence when an article matches
+ * several categories (SIGNAL_TYPE_PRECEDENCE overrides it).
+ *
+ * Override the built-in taxonomy with a JSON file of the same shape and point
+ * SIGNAL_TAXONOMY_FILE at it.
+ */
+
+const fs = require('fs');
+const { compileKeyword, matchKeyword } = require('./keyword-matcher');
+
+// Colors are Notion select option colors
+const DEFAULT_TAXONOMY = {
+  types: [
+    { name: 'RECALL', color: 'red', description: 'Product recalls, seizures and warning letters' },
+    { name: 'LEGAL', color: 'orange', description: 'Regulation, compliance and enforcement' },
+    { name: 'TARIFF', color: 'yellow', description: 'Tariffs, duties and trade policy' },
+    { name: 'BANKING', color: 'pink', description: 'Banking, payments and financial access' },
+    { name: 'FUNDING', color: 'green', description: 'Funding rounds, M&A and investment' },
+    { name: 'COMPETITOR', color: 'blue', description: 'Competitor news' },
+    { name: 'SUPPLY_CHAIN', color: 'brown', description: 'Manufacturing, shipping and logistics' },
+    { name: 'EVENT', color: 'purple', description: 'Trade shows and industry events' },
+    { name: 'TREND', color: 'default', description: 'Search and news trend alerts (trend monitor)' },
+    { name: 'NEWS', color: 'gray', description: 'General industry news' },
+  ],
+  rules: [
+    { type: 'RECALL', keywords: ['recall*', 'seizure', 'seized', 'warning letter'] },
+    { type: 'TARIFF', categories: ['tariffs'] },
+    { type: 'EVENT', categories: ['trade_shows'] },
+    { type: 'COMPETITOR', categories: ['competitors'] },
+    { type: 'SUPPLY_CHAIN', categories: ['supply_chain'] },
+    { type: 'BANKING', categories: ['banking_payments'] },
+    { type: 'FUNDING', categories: ['mergers_acquisitions'] },
+    { type: 'FUNDING', categories: ['market'], keywords: ['funding', 'raises', 'investment', 'financing', 'ipo', 'acquires', 'acquisition'] },
+    { type: 'LEGAL', categories: ['regulations', 'compliance'] },
+  ],
+  fallback: 'NEWS',
+};
+
+/**
+ * Validate a taxonomy definition and compile its rule keywords
+ * @param {object} definition - { types, rules, fallback }
+ * @returns {object} { types, typeNames, rules, fallback } with compiled rules
+ * @throws {Error} If the definition is malformed
+ */
+function compileTaxonomy(definition) {
+  if (!definition || !Array.isArray(definition.types) || definition.types.length === 0) {
+    throw new Error('Taxonomy needs a non-empty "types" list');
+  }
+
+  const types = definition.types.map(type => {
+    const name = String(typeof type === 'string' ? type : type.name || '').trim().toUpperCase();
+    if (!/^[A-Z][A-Z0-9_]*$/.test(name)) throw new Error(`Invalid signal type name "${name}"`);
+    return { name, color: type.color || 'default', description: type.description || '' };
+  });
+  const typeNames = types.map(type => type.name);
+
+  const fallback = String(definition.fallback || typeNames[typeNames.length - 1]).toUpperCase();
+  if (!typeNames.includes(fallback)) throw new Error(`Fallback type "${fallback}" is not in "types"`);
+
+  const rules = (definition.rules || []).map((rule, index) => {
+    const type = String(rule.type || '').toUpperCase();
+    if (!typeNames.includes(type)) throw new Error(`Rule ${index + 1} has unknown type "${rule.type}"`);
+    return {
+      type,
+      categories: rule.categories ? rule.categories.map(c => String(c).toLowerCase()) : null,
+      keywords: rule.keywords ? rule.keywords.map(compileKeyword) : null,
+    };
+  });
+
+  return { types, typeNames, rules, fallback };
+}
+
+/**
+ * Load the taxonomy from a JSON file, or the built-in default
+ * @param {string} [file] - Path to a taxonomy JSON file
+ * @returns {object} { taxonomy, source, error } - falls back to the default on error
+ */
+function loadTaxonomy(file) {
+  const taxonomy = compileTaxonomy(DEFAULT_TAXONOMY);
+  if (!file) return { taxonomy, source: 'built-in', error: null };
+
+  try {
+    return { taxonomy: compileTaxonomy(JSON.parse(fs.readFileSync(file, 'utf8'))), source: file, error: null };
+  } catch (error) {
+    return { taxonomy, source: 'built-in', error: `${file}: ${error.message}` };
+  }
+}
+
+/**
+ * Pick the signal type for one keyword match
+ * @param {object} taxonomy - Result of compileTaxonomy()/loadTaxonomy()
+ * @param {string} category - Keyword category of the match
+ * @param {string} text - Article text (title and body)
+ * @returns {string} Signal type name
+ */
+function classifyMatch(taxonomy, category, text) {
+  for (const rule of taxonomy.rules) {
+    if (rule.categories && !rule.categories.includes(category)) continue;
+    if (rule.keywords && !rule.keywords.some(compiled => matchKeyword(compiled, text || ''))) continue;
+    return rule.type;
+  }
+  return taxonomy.fallback;
+}
+
+/**
+ * Resolve the signal type precedence list (highest priority first)
+ * @param {object} taxonomy - Compiled taxonomy (its type order is the default)
+ * @param {string} [override] - Comma-separated list, e.g. SIGNAL_TYPE_PRECEDENCE
+ * @returns {Array} Type names
+ */
+function typePrecedence(taxonomy, override) {
+  if (!override) return taxonomy.typeNames;
+  return override
+    .split(',')
+    .map(type => type.trim().toUpperCase())
+    .filter(type => type.length > 0);
+}
+
+module.exports = {
+  DEFAULT_TAXONOMY,
+  compileTaxonomy,
+  loadTaxonomy,
+  classifyMatch,
+  typePrecedence,
+};
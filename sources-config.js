@@ -0,0 +1,272 @@
+/**
+ * Sources & Keywords Configuration Module
+ *
+ * Loads RSS feeds and monitor keywords for the scanner from Notion databases,
+ * so analysts can add or disable sources without a code change.
+ *
+ * Feeds database properties:
+ *   name (Title), url (URL or Rich Text), category (Select), enabled (Checkbox),
+ *   authority (Number, optional 0-1 source reliability for confidence scoring)
+ *
+ * Keywords database properties:
+ *   keyword (Title), category (Select), signal_type (Select), enabled (Checkbox)
+ *
+ * Malformed rows are reported and skipped; if a database cannot be read or
+ * yields no valid rows, the caller's hardcoded lists are used instead.
+ */
+
+const { validateKeyword } = require('./keyword-matcher');
+const { DEFAULT_TAXONOMY } = require('./signal-taxonomy');
+
+const VALID_SIGNAL_TYPES = DEFAULT_TAXONOMY.types.map(type => type.name);
+
+/**
+ * Read a plain string from any text-like Notion property
+ */
+function readText(property) {
+  if (!property) return '';
+  switch (property.type) {
+    case 'title':
+      return (property.title || []).map(t => t.plain_text).join('').trim();
+    case 'rich_text':
+      return (property.rich_text || []).map(t => t.plain_text).join('').trim();
+    case 'url':
+      return (property.url || '').trim();
+    case 'select':
+      return (property.select?.name || '').trim();
+    default:
+      return '';
+  }
+}
+
+/**
+ * Read a checkbox property, treating a missing property as enabled
+ */
+function readEnabled(property) {
+  if (!property || property.type !== 'checkbox') return true;
+  return property.checkbox === true;
+}
+
+/**
+ * Normalize a category name to the snake_case form used in MONITOR_KEYWORDS
+ */
+function normalizeCategory(category) {
+  return category.toLowerCase().trim().replace(/[\s-]+/g, '_');
+}
+
+/**
+ * Validate URL format
+ */
+function isValidUrl(string) {
+  try {
+    const url = new URL(string);
+    return url.protocol === 'http:' || url.protocol === 'https:';
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Parse a feeds database row
+ * @returns {object} { feed } on success or { error } describing the problem
+ */
+function parseFeedRow(page) {
+  const props = page.properties || {};
+  const name = readText(props.name);
+  const url = readText(props.url);
+  const category = normalizeCategory(readText(props.category));
+
+  if (!name) return { error: 'missing name' };
+  if (!url) return { error: `"${name}" has no url` };
+  if (!isValidUrl(url)) return { error: `"${name}" has invalid url "${url}"` };
+  if (!category) return { error: `"${name}" has no category` };
+
+  const authority = props.authority?.type === 'number' ? props.authority.number : null;
+  if (authority !== null && (authority < 0 || authority > 1)) {
+    return { error: `"${name}" has authority ${authority} outside 0-1` };
+  }
+
+  return {
+    feed: { name, url, category, enabled: readEnabled(props.enabled), authority },
+  };
+}
+
+/**
+ * Parse a keywords database row
+ * @returns {object} { keyword } on success or { error } describing the problem
+ */
+function parseKeywordRow(page, validSignalTypes = VALID_SIGNAL_TYPES) {
+  const props = page.properties || {};
+  const keyword = readText(props.keyword);
+  const category = normalizeCategory(readText(props.category));
+  const signalType = readText(props.signal_type).toUpperCase();
+
+  if (!keyword) return { error: 'missing keyword' };
+  if (!category) return { error: `"${keyword}" has no category` };
+  const syntaxError = validateKeyword(keyword);
+  if (syntaxError) return { error: syntaxError };
+  if (signalType && !validSignalTypes.includes(signalType)) {
+    return { error: `"${keyword}" has unknown signal_type "${signalType}"` };
+  }
+
+  return {
+    keyword: { keyword, category, signalType: signalType || null, enabled: readEnabled(props.enabled) },
+  };
+}
+
+/**
+ * Query every page of a Notion database
+ */
+async function queryAllPages(notion, notionRequest, databaseId) {
+  const pages = [];
+  let hasMore = true;
+  let startCursor = undefined;
+
+  while (hasMore) {
+    const response = await notionRequest(() => notion.databases.query({
+      database_id: databaseId,
+      start_cursor: startCursor,
+    }));
+    pages.push(...response.results);
+    hasMore = response.has_more;
+    startCursor = response.next_cursor;
+  }
+
+  return pages;
+}
+
+/**
+ * Parse rows with the given parser, collecting valid entries and row errors
+ */
+function parseRows(pages, parser, key) {
+  const entries = [];
+  const errors = [];
+
+  for (const page of pages) {
+    const parsed = parser(page);
+    if (parsed.error) {
+      errors.push({ pageId: page.id, message: parsed.error });
+    } else {
+      entries.push(parsed[key]);
+    }
+  }
+
+  return { entries, errors };
+}
+
+/**
+ * Load feeds from the feeds database, falling back to the hardcoded list
+ * @returns {Promise<object>} { feeds, source, errors }
+ */
+async function loadFeeds(notion, notionRequest, databaseId, fallbackFeeds) {
+  if (!databaseId) {
+    return { feeds: fallbackFeeds, source: 'built-in', errors: [] };
+  }
+
+  try {
+    const pages = await queryAllPages(notion, notionRequest, databaseId);
+    const { entries, errors } = parseRows(pages, parseFeedRow, 'feed');
+
+    // Drop duplicate URLs so a copied row doesn't double-fetch a feed
+    const seenUrls = new Set();
+    const feeds = [];
+    for (const feed of entries) {
+      if (seenUrls.has(feed.url)) {
+        errors.push({ pageId: null, message: `duplicate url "${feed.url}" (${feed.name})` });
+        continue;
+      }
+      seenUrls.add(feed.url);
+      if (!feed.enabled) continue;
+      feeds.push({ name: feed.name, url: feed.url, category: feed.category, authority: feed.authority ?? undefined });
+    }
+
+    if (feeds.length === 0) {
+      return { feeds: fallbackFeeds, source: 'built-in (no valid rows in Notion)', errors };
+    }
+    return { feeds, source: 'notion', errors };
+  } catch (error) {
+    return {
+      feeds: fallbackFeeds,
+      source: 'built-in (Notion load failed)',
+      errors: [{ pageId: null, message: error.message }],
+    };
+  }
+}
+
+/**
+ * Load keywords from the keywords database, falling back to the hardcoded map
+ * @returns {Promise<object>} { keywords, signalTypes, source, errors }
+ *   keywords is a category -> keyword[] map, signalTypes a keyword -> type override map
+ */
+async function loadKeywords(notion, notionRequest, databaseId, fallbackKeywords, validSignalTypes) {
+  const fallback = (source, errors) => ({
+    keywords: fallbackKeywords,
+    signalTypes: new Map(),
+    source,
+    errors,
+  });
+
+  if (!databaseId) return fallback('built-in', []);
+
+  try {
+    const pages = await queryAllPages(notion, notionRequest, databaseId);
+    const { entries, errors } = parseRows(pages, page => parseKeywordRow(page, validSignalTypes), 'keyword');
+
+    const keywords = {};
+    const signalTypes = new Map();
+    let count = 0;
+
+    for (const entry of entries) {
+      if (!entry.enabled) continue;
+      keywords[entry.category] = keywords[entry.category] || [];
+      if (keywords[entry.category].includes(entry.keyword)) continue;
+      keywords[entry.category].push(entry.keyword);
+      if (entry.signalType) signalTypes.set(entry.keyword, entry.signalType);
+      count++;
+    }
+
+    if (count === 0) return fallback('built-in (no valid rows in Notion)', errors);
+    return { keywords, signalTypes, source: 'notion', errors };
+  } catch (error) {
+    return fallback('built-in (Notion load failed)', [{ pageId: null, message: error.message }]);
+  }
+}
+
+/**
+ * Load scanner feeds and keywords from Notion with hardcoded fallbacks
+ * @param {object} options
+ * @param {object} options.notion - Notion client
+ * @param {function} options.notionRequest - Retry wrapper for Notion calls
+ * @param {string} [options.feedsDatabaseId] - Feeds database ID
+ * @param {string} [options.keywordsDatabaseId] - Keywords database ID
+ * @param {Array} options.fallbackFeeds - Hardcoded RSS_FEEDS
+ * @param {object} options.fallbackKeywords - Hardcoded MONITOR_KEYWORDS
+ * @param {Array} [options.validSignalTypes] - Allowed signal_type values (default: built-in taxonomy)
+ * @returns {Promise<object>} { feeds, keywords, signalTypes, feedsSource, keywordsSource, errors }
+ */
+async function loadSourcesConfig(options) {
+  const { notion, notionRequest, feedsDatabaseId, keywordsDatabaseId, fallbackFeeds, fallbackKeywords } = options;
+  const validSignalTypes = options.validSignalTypes || VALID_SIGNAL_TYPES;
+
+  const feedResult = await loadFeeds(notion, notionRequest, feedsDatabaseId, fallbackFeeds);
+  const keywordResult = await loadKeywords(notion, notionRequest, keywordsDatabaseId, fallbackKeywords, validSignalTypes);
+
+  return {
+    feeds: feedResult.feeds,
+    keywords: keywordResult.keywords,
+    signalTypes: keywordResult.signalTypes,
+    feedsSource: feedResult.source,
+    keywordsSource: keywordResult.source,
+    errors: [
+      ...feedResult.errors.map(e => ({ ...e, database: 'feeds' })),
+      ...keywordResult.errors.map(e => ({ ...e, database: 'keywords' })),
+    ],
+  };
+}
+
+module.exports = {
+  VALID_SIGNAL_TYPES,
+  parseFeedRow,
+  parseKeywordRow,
+  loadSourcesConfig,
+};
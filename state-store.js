@@ -0,0 +1,65 @@
+/**
+ * Local State Store
+ *
+ * Small JSON persistence helper for scanner state that must survive between
+ * runs (seen-article index, feed caches, etc.). Files live in STATE_DIR
+ * (default: .scanner-state) and are cached between GitHub Actions runs.
+ *
+ * A missing or corrupt file is never fatal - callers get their default value
+ * and the state is rebuilt on the next save.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const STATE_DIR = process.env.STATE_DIR || path.join(__dirname, '.scanner-state');
+
+/**
+ * Resolve the path of a named state file
+ */
+function statePath(name) {
+  return path.join(STATE_DIR, `${name}.json`);
+}
+
+/**
+ * Read a named state file
+ * @param {string} name - State file name (without extension)
+ * @param {*} defaultValue - Returned when the file is missing or unreadable
+ * @returns {*} Parsed state or defaultValue
+ */
+function readState(name, defaultValue) {
+  try {
+    return JSON.parse(fs.readFileSync(statePath(name), 'utf8'));
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      console.error(`  Warning: Could not read state "${name}", starting fresh: ${error.message}`);
+    }
+    return defaultValue;
+  }
+}
+
+/**
+ * Write a named state file atomically (temp file + rename)
+ * @param {string} name - State file name (without extension)
+ * @param {*} data - JSON-serializable state
+ * @returns {boolean} True if written
+ */
+function writeState(name, data) {
+  try {
+    fs.mkdirSync(STATE_DIR, { recursive: true });
+    const target = statePath(name);
+    const temp = `${target}.${process.pid}.tmp`;
+    fs.writeFileSync(temp, JSON.stringify(data));
+    fs.renameSync(temp, target);
+    return true;
+  } catch (error) {
+    console.error(`  Warning: Could not save state "${name}": ${error.message}`);
+    return false;
+  }
+}
+
+module.exports = {
+  STATE_DIR,
+  readState,
+  writeState,
+};
@@ -0,0 +1,232 @@
+/**
+ * HTS Code & Duty Rate Tracker
+ *
+ * Finds HTS code mentions and the duty percentages reported next to them in
+ * tariff articles, and keeps a Notion "Tariff Watch" database (one page per
+ * code) with the last reported rate, a dated rate history and links to the
+ * signals that reported it.
+ *
+ * Codes on the watch list (WATCHED_HTS_CODES) are the ones our margins depend
+ * on: when an article reports a rate for one of them that differs from the
+ * last known value, the signal is flagged as a rate change.
+ */
+
+const { findHtsCodes } = require('./entity-extractor');
+const { readText, relationIds } = require('./notion-client');
+const { ensureDatabaseSchema } = require('./notion-schema');
+
+// HTS prefixes we watch (a mention matches if it starts with the prefix)
+const DEFAULT_WATCHED_CODES = [
+  { code: '9614.00', description: 'Smoking pipes and bowls (incl. glass pipes)' },
+  { code: '7013.99', description: 'Glassware, other' },
+  { code: '8543.40', description: 'Electronic cigarettes and vaporizers' },
+  { code: '4813', description: 'Cigarette and rolling papers' },
+];
+
+const TARIFF_WATCH_SCHEMA = {
+  label: 'Tariff Watch',
+  properties: {
+    code: { type: 'title', description: 'HTS code' },
+    description: { type: 'rich_text', description: 'What the code covers' },
+    watched: { type: 'checkbox', description: 'On the watch list' },
+    last_rate: { type: 'number', description: 'Last reported duty rate (%)' },
+    last_reported: { type: 'date', description: 'Date of the last reported rate' },
+    rate_history: { type: 'rich_text', description: 'Dated rate history, newest first' },
+    signals: { type: 'relation', description: 'Signals that reported the code' },
+  },
+};
+
+const MAX_TEXT_LENGTH = 2000;
+const RATE_PATTERN = /(\d{1,3}(?:\.\d+)?)\s*(?:%|percent\b|per cent\b)/gi;
+const FROM_TO_PATTERN = /from\s+(\d{1,3}(?:\.\d+)?)\s*(?:%|percent|per cent)?\s+to\s+(\d{1,3}(?:\.\d+)?)\s*(?:%|percent\b|per cent\b)/i;
+
+/**
+ * Digits-only form of a code for prefix comparison
+ */
+function codeDigits(code) {
+  return String(code).replace(/\D/g, '');
+}
+
+/**
+ * Parse a comma-separated watch list ("9614.00,8543.40"), or the default list
+ */
+function parseWatchedCodes(value) {
+  if (!value) return DEFAULT_WATCHED_CODES;
+  const codes = value.split(',').map(code => code.trim()).filter(code => /^\d{4}(\.\d{2}){0,3}$/.test(code));
+  return codes.length > 0 ? codes.map(code => ({ code, description: '' })) : DEFAULT_WATCHED_CODES;
+}
+
+/**
+ * Find the watched entry a code falls under, or null
+ */
+function findWatchedCode(code, watchedCodes = DEFAULT_WATCHED_CODES) {
+  const digits = codeDigits(code);
+  return watchedCodes.find(watched => digits.startsWith(codeDigits(watched.code))) || null;
+}
+
+/**
+ * Return the sentence around a position (codes and rates contain dots, so a
+ * "." only ends a sentence when whitespace or the end of the text follows)
+ */
+function sentenceAt(text, start, end) {
+  let sentenceStart = 0;
+  for (const match of text.substring(0, start).matchAll(/[.!?](?=\s)|\n/g)) {
+    sentenceStart = match.index + 1;
+  }
+  const afterMatch = text.substring(end).search(/[.!?](\s|$)|\n/);
+  const sentenceEnd = afterMatch === -1 ? text.length : end + afterMatch + 1;
+  return { sentence: text.substring(sentenceStart, sentenceEnd), offset: sentenceStart };
+}
+
+/**
+ * Find the duty rate reported for a code mention within its sentence
+ * ("from 25% to 50%" reports 50; otherwise the percentage nearest the code,
+ * so "7.5% applies to subheading 4813.20." reports 7.5)
+ * @returns {number|null}
+ */
+function rateNear(text, mention) {
+  const { sentence, offset } = sentenceAt(text, mention.start, mention.end);
+  const fromTo = sentence.match(FROM_TO_PATTERN);
+  if (fromTo) return parseFloat(fromTo[2]);
+
+  let best = null;
+  for (const match of sentence.matchAll(RATE_PATTERN)) {
+    const position = offset + match.index;
+    const distance = position < mention.start ? mention.start - position : position - mention.end;
+    if (!best || distance < best.distance) best = { rate: parseFloat(match[1]), distance };
+  }
+  return best ? best.rate : null;
+}
+
+/**
+ * Extract HTS code mentions and reported duty rates from article text
+ * @param {string} text - Article title and body
+ * @param {Array} [watchedCodes] - Watch list (see parseWatchedCodes)
+ * @returns {Array} [{ code, rate, watched }] one per code (first reported rate wins)
+ */
+function extractTariffMentions(text, watchedCodes = DEFAULT_WATCHED_CODES) {
+  const mentions = new Map();
+  for (const mention of findHtsCodes(text)) {
+    const rate = rateNear(text, mention);
+    const existing = mentions.get(mention.code);
+    if (!existing) {
+      mentions.set(mention.code, { code: mention.code, rate, watched: findWatchedCode(mention.code, watchedCodes) });
+    } else if (existing.rate === null) {
+      existing.rate = rate;
+    }
+  }
+  return [...mentions.values()];
+}
+
+// ============================================================================
+// TARIFF WATCH DATABASE
+// ============================================================================
+
+/**
+ * Add any properties missing from the Tariff Watch database, including the
+ * "signals" relation to the Signals database
+ * @returns {Promise<Array>} Names of the properties added
+ */
+async function ensureTariffWatchSchema({ notion, notionRequest, databaseId, signalsDatabaseId }) {
+  const schema = {
+    ...TARIFF_WATCH_SCHEMA,
+    properties: { ...TARIFF_WATCH_SCHEMA.properties, signals: { ...TARIFF_WATCH_SCHEMA.properties.signals, databaseId: signalsDatabaseId } },
+  };
+  const { added } = await ensureDatabaseSchema({ notion, notionRequest }, schema, databaseId);
+  return added;
+}
+
+/**
+ * Find the Tariff Watch page for a code
+ * @returns {Promise<object|null>} Notion page or null
+ */
+async function findTariffPage(code, { notion, notionRequest, databaseId }) {
+  const response = await notionRequest(() => notion.databases.query({
+    database_id: databaseId,
+    filter: { property: 'code', title: { equals: code } },
+    page_size: 1,
+  }));
+  return response.results[0] || null;
+}
+
+/**
+ * Compare reported rates with the last known rates for watched codes
+ * @param {Array} mentions - From extractTariffMentions()
+ * @param {object} options - { notion, notionRequest, databaseId }
+ * @returns {Promise<Array>} [{ code, previousRate, rate }] for watched codes whose rate changed
+ */
+async function detectRateChanges(mentions, options) {
+  const changes = [];
+  for (const mention of mentions) {
+    if (!mention.watched || mention.rate === null) continue;
+    const page = await findTariffPage(mention.code, options);
+    const previousRate = page?.properties?.last_rate?.number ?? null;
+    if (previousRate !== null && previousRate !== mention.rate) {
+      changes.push({ code: mention.code, previousRate, rate: mention.rate });
+    }
+  }
+  return changes;
+}
+
+/**
+ * Record code mentions in the Tariff Watch database: create pages for new
+ * codes, update the last rate and history, and link the source signal
+ * @param {Array} mentions - From extractTariffMentions()
+ * @param {object} signal - { pageId, title, date }
+ * @param {object} options - { notion, notionRequest, databaseId }
+ * @returns {Promise<number>} Pages created or updated
+ */
+async function recordTariffMentions(mentions, signal, options) {
+  const { notion, notionRequest, databaseId } = options;
+  const text = (content) => ({ rich_text: [{ text: { content: content.substring(0, MAX_TEXT_LENGTH) } }] });
+  let recorded = 0;
+
+  for (const mention of mentions) {
+    const page = await findTariffPage(mention.code, options);
+    const historyLine = `${signal.date}: ${mention.rate === null ? 'mentioned' : `${mention.rate}%`} - ${signal.title}`;
+
+    if (!page) {
+      await notionRequest(() => notion.pages.create({
+        parent: { database_id: databaseId },
+        icon: { type: 'emoji', emoji: '🧾' },
+        properties: {
+          code: { title: [{ text: { content: mention.code } }] },
+          description: text(mention.watched?.description || ''),
+          watched: { checkbox: Boolean(mention.watched) },
+          ...(mention.rate !== null ? { last_rate: { number: mention.rate }, last_reported: { date: { start: signal.date } } } : {}),
+          rate_history: text(historyLine),
+          signals: { relation: [{ id: signal.pageId }] },
+        },
+      }));
+      recorded++;
+      continue;
+    }
+
+    const props = page.properties || {};
+    const linked = await relationIds(page, 'signals', options);
+    // Newest first; the oldest lines fall off when the text limit is reached
+    const history = [historyLine, readText(props.rate_history)].filter(Boolean).join('\n');
+
+    await notionRequest(() => notion.pages.update({
+      page_id: page.id,
+      properties: {
+        ...(mention.rate !== null ? { last_rate: { number: mention.rate }, last_reported: { date: { start: signal.date } } } : {}),
+        rate_history: text(history),
+        ...(!linked.includes(signal.pageId) ? { signals: { relation: [...linked, signal.pageId].map(id => ({ id })) } } : {}),
+      },
+    }));
+    recorded++;
+  }
+
+  return recorded;
+}
+
+module.exports = {
+  DEFAULT_WATCHED_CODES,
+  parseWatchedCodes,
+  findWatchedCode,
+  extractTariffMentions,
+  ensureTariffWatchSchema,
+  detectRateChanges,
+  recordTariffMentions,
+};
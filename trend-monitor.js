@@ -31,25 +31,42 @@
  *   SIGNALS_DATABASE_ID - Notion database ID for signals (for alerts)
  *   NEWSDATA_API_KEY - NewsData.io API key (free tier: 200 credits/day)
  *   SERPAPI_KEY - SerpAPI key for Google News (100 free searches/month)
+ *   NOTIFY_CONFIG_FILE - JSON file of notification channels for trend alerts (see notifier.js)
+ *   PAGE_TEMPLATES_DIR - Directory of page template overrides (see templates/)
+ *   PROPERTY_ALIASES_FILE - JSON file mapping schema properties to other names (see notion-schema.js)
  *   DRY_RUN - Set to 'true' to test without updating Notion
  *   VERBOSE - Set to 'true' for detailed factor breakdowns
  */
 
-const { Client } = require('@notionhq/client');
 const Parser = require('rss-parser');
 const { calculateSentiment, calculateArticleSentiment } = require('./sentiment');
+const { deduplicateArticles } = require('./article-dedup');
+const { loadNotifier, sendNotification } = require('./notifier');
+const { loadPageTemplates, renderPageTemplate } = require('./page-templates');
+const { syncPageRegion } = require('./page-region');
+const { createNotionClient, formatNotionStats } = require('./notion-client');
+const { DATABASE_SCHEMAS, preflightDatabase, loadPropertyAliases } = require('./notion-schema');
 
 // Initialize Notion client
-const notion = new Client({ auth: process.env.NOTION_TOKEN });
+const { notion, notionRequest, notionStats } = createNotionClient({ auth: process.env.NOTION_TOKEN });
 
 // Configuration
 const MONITORS_DB = process.env.MONITORS_DATABASE_ID;
 const SIGNALS_DB = process.env.SIGNALS_DATABASE_ID;
 const DRY_RUN = process.env.DRY_RUN === 'true' || process.argv.includes('--dry-run');
+const NOTIFIER = loadNotifier(process.env.NOTIFY_CONFIG_FILE);
+const PAGE_TEMPLATES = loadPageTemplates(process.env.PAGE_TEMPLATES_DIR);
+const PROPERTY_ALIASES = loadPropertyAliases(process.env.PROPERTY_ALIASES_FILE);
+
+// Actual property names per schema field (set by the startup preflight)
+let monitorFields = {};
+let signalFields = {};
 
 // Constants
 const FETCH_TIMEOUT_MS = 10000;
 const MAX_CONTENT_LENGTH = 1900;
+// First block of reports written before pages had region markers
+const LEGACY_REPORT_HEADING = '📊 Trend Analysis Report';
 
 // Source Reliability Weights (Enhanced with all sources)
 const SOURCE_WEIGHTS = {
@@ -157,26 +174,6 @@ async function fetchWithTimeout(url, options = {}, timeout = FETCH_TIMEOUT_MS) {
   }
 }
 
-/**
- * Wrapper for Notion API calls with exponential backoff
- */
-async function notionRequest(fn, retries = 3) {
-  for (let i = 0; i < retries; i++) {
-    try {
-      return await fn();
-    } catch (error) {
-      if (error.code === 'rate_limited' || error.status === 429) {
-        const delay = Math.pow(2, i) * 1000;
-        console.log(`  Rate limited, waiting ${delay}ms...`);
-        await sleep(delay);
-        continue;
-      }
-      throw error;
-    }
-  }
-  throw new Error('Max retries exceeded');
-}
-
 /**
  * Parse monitor terms from rich text
  * Handles comma-separated terms like "India smoking accessories, Finzabad glass"
@@ -189,100 +186,6 @@ function parseTerms(termsText) {
     .filter(term => term.length > 0);
 }
 
-// ============================================================================
-// ARTICLE DEDUPLICATION
-// ============================================================================
-
-/**
- * Normalize URL for comparison (remove tracking params, etc.)
- */
-function normalizeUrl(url) {
-  if (!url) return '';
-  try {
-    const parsed = new URL(url);
-    const trackingParams = ['utm_source', 'utm_medium', 'utm_campaign', 'utm_term', 'utm_content',
-                           'ref', 'source', 'fbclid', 'gclid', 'msclkid'];
-    trackingParams.forEach(param => parsed.searchParams.delete(param));
-    return parsed.toString().toLowerCase();
-  } catch {
-    return url.toLowerCase();
-  }
-}
-
-/**
- * Calculate title similarity using Jaccard coefficient
- */
-function calculateTitleSimilarity(title1, title2) {
-  if (!title1 || !title2) return 0;
-  const normalize = (t) => t.toLowerCase().replace(/[^a-z0-9\s]/g, '').split(/\s+/).filter(w => w.length > 2);
-  const words1 = new Set(normalize(title1));
-  const words2 = new Set(normalize(title2));
-  if (words1.size === 0 || words2.size === 0) return 0;
-  const intersection = new Set([...words1].filter(x => words2.has(x)));
-  const union = new Set([...words1, ...words2]);
-  return intersection.size / union.size;
-}
-
-/**
- * Deduplicate articles from multiple sources
- * Returns deduplicated array with duplicates merged
- */
-function deduplicateArticles(articles, similarityThreshold = 0.6) {
-  if (!articles || articles.length === 0) {
-    return { articles: [], originalCount: 0, deduplicatedCount: 0 };
-  }
-
-  const originalCount = articles.length;
-  const seen = new Map();
-  const titleGroups = [];
-  const result = [];
-
-  for (const article of articles) {
-    const normalizedUrl = normalizeUrl(article.link || article.url);
-
-    // Check URL-based deduplication first
-    if (normalizedUrl && seen.has(normalizedUrl)) {
-      const existing = seen.get(normalizedUrl);
-      existing.sources = existing.sources || [existing.source];
-      if (article.source && !existing.sources.includes(article.source)) {
-        existing.sources.push(article.source);
-      }
-      continue;
-    }
-
-    // Check title similarity
-    let foundSimilar = false;
-    for (const group of titleGroups) {
-      const similarity = calculateTitleSimilarity(article.title, group[0].title);
-      if (similarity >= similarityThreshold) {
-        group.push(article);
-        const existing = group[0];
-        existing.sources = existing.sources || [existing.source];
-        if (article.source && !existing.sources.includes(article.source)) {
-          existing.sources.push(article.source);
-        }
-        foundSimilar = true;
-        break;
-      }
-    }
-
-    if (!foundSimilar) {
-      titleGroups.push([article]);
-      if (normalizedUrl) {
-        seen.set(normalizedUrl, article);
-      }
-      article.sources = article.sources || [article.source];
-      result.push(article);
-    }
-  }
-
-  return {
-    articles: result,
-    originalCount,
-    deduplicatedCount: result.length,
-  };
-}
-
 // ============================================================================
 // TREND DIRECTION INDICATOR
 // ============================================================================
@@ -493,7 +396,7 @@ async function fetchActiveMonitors() {
     const response = await notionRequest(() => notion.databases.query({
       database_id: MONITORS_DB,
       filter: {
-        property: 'active',
+        property: monitorFields.active,
         checkbox: { equals: true }
       },
       start_cursor: startCursor,
@@ -503,16 +406,16 @@ async function fetchActiveMonitors() {
       const props = page.properties;
 
       // Extract properties safely
-      const monitorId = props.monitor_id?.title?.[0]?.plain_text || page.id;
-      const terms = props.terms?.rich_text?.[0]?.plain_text || '';
-      const threshold = props.threshold?.number || 20;
-      const interval = props.interval?.select?.name || 'week';
-      const lastCheck = props.last_check?.date?.start || null;
+      const monitorId = props[monitorFields.monitor_id]?.title?.[0]?.plain_text || page.id;
+      const terms = props[monitorFields.terms]?.rich_text?.[0]?.plain_text || '';
+      const threshold = props[monitorFields.threshold]?.number || 20;
+      const interval = props[monitorFields.interval]?.select?.name || 'week';
+      const lastCheck = props[monitorFields.last_check]?.date?.start || null;
 
       // Read existing scores for historical tracking
-      const previousTrendScore = props.trend_score?.number || null;
-      const previousCoherence = props.Coherency?.number || props.coherence?.number || null;
-      const previousConfidence = props.confidence?.number || null;
+      const previousTrendScore = props[monitorFields.trend_score]?.number || null;
+      const previousCoherence = props[monitorFields.Coherency]?.number || null;
+      const previousConfidence = props[monitorFields.confidence]?.number || null;
 
       // Pre-populate score history if we have previous scores
       if (previousTrendScore !== null) {
@@ -540,34 +443,123 @@ async function fetchActiveMonitors() {
 }
 
 /**
- * Clear all existing blocks from a Notion page
+ * Emoji for a coherence level
  */
-async function clearPageContent(pageId) {
-  try {
-    // Fetch all existing blocks
-    const response = await notionRequest(() => notion.blocks.children.list({
-      block_id: pageId,
-      page_size: 100,
-    }));
+function coherenceEmoji(level) {
+  return level === 'High' ? '🎯' : level === 'Medium' ? '📊' : '⚡';
+}
 
-    // Delete each block
-    for (const block of response.results) {
-      await notionRequest(() => notion.blocks.delete({
-        block_id: block.id,
-      }));
-      await sleep(100); // Rate limit
-    }
+/**
+ * Template fields shared by the monitor report and trend alert pages
+ */
+function trendTemplateData(monitor, results) {
+  return {
+    monitor,
+    trendScore: results.trendScore,
+    coherenceScore: results.coherenceScore,
+    coherenceLevel: results.coherenceLevel,
+    coherenceEmoji: coherenceEmoji(results.coherenceLevel),
+    confidence: results.confidence,
+    changePercent: results.changePercent,
+    momentum: results.momentumTrend ? results.momentumTrend.charAt(0).toUpperCase() + results.momentumTrend.slice(1) : 'Steady',
+    factors: results.factors || null,
+    dataSourcesUsed: results.dataSourcesUsed,
+  };
+}
 
-    return true;
-  } catch (error) {
-    console.error(`  Warning: Error clearing page content: ${error.message}`);
-    return false;
+/**
+ * Data for the monitor report template (templates/monitor-report.json)
+ */
+function monitorReportData(monitor, results) {
+  // Top articles are stored as markdown links: [Title](URL)
+  const articles = (results.topArticles || '').split('\n').filter(line => line.trim()).map(line => {
+    const match = line.match(/\[([^\]]+)\]\(([^)]+)\)/);
+    return match ? { title: match[1], url: match[2] } : { title: line, url: null };
+  });
+
+  const confidenceQualifier = results.confidence < 30 ? ' (low confidence)' :
+    results.confidence > 70 ? ' (high confidence)' : '';
+
+  // Build summary explanation
+  let summary = results.contextSummary || 'No summary available.';
+
+  // Add score interpretation
+  if (results.trendScore >= 70) {
+    summary += '\n\nThis indicates a strong trending signal with high activity across monitored sources.';
+  } else if (results.trendScore >= 40) {
+    summary += '\n\nThis indicates moderate trending activity. Worth monitoring for changes.';
+  } else {
+    summary += '\n\nThis indicates low trending activity. The topic is not currently trending significantly.';
   }
+
+  // Add coherence interpretation
+  if (results.coherenceLevel === 'High') {
+    summary += ' The high coherence score indicates strong agreement across data sources, making this a reliable signal.';
+  } else if (results.coherenceLevel === 'Medium') {
+    summary += ' The medium coherence score suggests moderate agreement across sources.';
+  } else {
+    summary += ' The low coherence score suggests inconsistent signals across sources - interpret with caution.';
+  }
+
+  return {
+    ...trendTemplateData(monitor, results),
+    updated: new Date().toISOString().split('T')[0],
+    direction: {
+      emoji: results.trendDirection?.emoji || '➡️',
+      description: results.trendDirection?.description || 'Stable trend',
+      strength: results.trendDirection?.strength || 'stable',
+    },
+    regions: GOOGLE_TRENDS_REGIONS,
+    regionsData: results.regionsData,
+    googleNewsRssArticleCount: results.googleNewsRssArticleCount || 0,
+    articles,
+    recommendations: (results.prioritizedRecommendations || []).map(rec => `${rec.formattedText}${confidenceQualifier}`),
+    summary,
+  };
+}
+
+/**
+ * Data for the trend alert template (templates/trend-alert.json)
+ */
+function alertTemplateData(monitor, trendData) {
+  return {
+    ...trendTemplateData(monitor, trendData),
+    rawScore: trendData.rawScore || trendData.trendScore,
+    direction: {
+      emoji: trendData.trendDirection?.emoji || '➡️',
+      description: trendData.trendDirection?.description || 'Stable',
+      strength: trendData.trendDirection?.strength || 'stable',
+    },
+    topRecommendation: trendData.topRecommendation,
+    articles: (trendData.articles || 'No related articles found').substring(0, MAX_CONTENT_LENGTH),
+  };
+}
+
+/**
+ * Locate a report written before monitor pages had region markers: from the
+ * "📊 Trend Analysis Report" heading to the divider that closed it, plus the
+ * score factor breakdown that may follow the divider
+ * @param {object[]} children - Top-level page blocks
+ * @returns {object|null} { start, end } block indexes (end exclusive)
+ */
+function findLegacyReport(children) {
+  const text = block => ((block[block.type] || {}).rich_text || []).map(t => t.plain_text).join('');
+  const start = children.findIndex(block => block.type === 'heading_2' && text(block) === LEGACY_REPORT_HEADING);
+  if (start === -1) return null;
+  const divider = children.findIndex((block, index) => index > start && block.type === 'divider');
+  if (divider === -1) return null;
+
+  let end = divider + 1;
+  if (children[end]?.type === 'heading_3' && text(children[end]) === 'Score Factor Breakdown') {
+    end += children[end + 1]?.type === 'paragraph' ? 2 : 1;
+  }
+  return { start, end };
 }
 
 /**
  * Update monitor page CONTENT with rich blocks (similar to INTEL Signals)
- * Creates a Trend Analysis Report with detailed metrics and articles
+ * Writes the Trend Analysis Report into a marked region of the page, changing
+ * only blocks that differ; notes outside the region are left alone
  */
 async function updateMonitorContent(pageId, monitor, results) {
   if (DRY_RUN) {
@@ -576,233 +568,21 @@ async function updateMonitorContent(pageId, monitor, results) {
   }
 
   try {
-    // Clear existing content first
-    await clearPageContent(pageId);
-
-    const now = new Date().toISOString().split('T')[0];
-
-    // Determine coherence emoji
-    const coherenceEmoji = results.coherenceLevel === 'High' ? '🎯' :
-      results.coherenceLevel === 'Medium' ? '📊' : '⚡';
+    const blocks = renderPageTemplate(PAGE_TEMPLATES.templates, 'monitor-report', null, monitorReportData(monitor, results));
+    const stats = await syncPageRegion(pageId, blocks, { notion, notionRequest, label: 'Trend report', findLegacy: findLegacyReport });
 
-    // Build the blocks array
-    const blocks = [
-      // Main heading
-      {
-        type: 'heading_2',
-        heading_2: { rich_text: [{ text: { content: '📊 Trend Analysis Report' } }] }
-      },
-      // Last updated
-      {
-        type: 'paragraph',
-        paragraph: { rich_text: [{ text: { content: `Last Updated: ${now}` } }] }
-      },
-      // Monitor Details section
-      {
-        type: 'heading_3',
-        heading_3: { rich_text: [{ text: { content: 'Monitor Details' } }] }
-      },
-      {
-        type: 'bulleted_list_item',
-        bulleted_list_item: { rich_text: [
-          { text: { content: 'Terms: ' }, annotations: { bold: true } },
-          { text: { content: monitor.terms.join(', ') } }
-        ] }
-      },
-      {
-        type: 'bulleted_list_item',
-        bulleted_list_item: { rich_text: [
-          { text: { content: 'Interval: ' }, annotations: { bold: true } },
-          { text: { content: monitor.interval } }
-        ] }
-      },
-      {
-        type: 'bulleted_list_item',
-        bulleted_list_item: { rich_text: [
-          { text: { content: 'Threshold: ' }, annotations: { bold: true } },
-          { text: { content: `${monitor.threshold}%` } }
-        ] }
-      },
-      // Scoring Metrics section
-      {
-        type: 'heading_3',
-        heading_3: { rich_text: [{ text: { content: 'Scoring Metrics' } }] }
-      },
-      {
-        type: 'bulleted_list_item',
-        bulleted_list_item: { rich_text: [
-          { text: { content: 'Trend Score: ' }, annotations: { bold: true } },
-          { text: { content: `${results.trendScore}/100` } }
-        ] }
-      },
-      {
-        type: 'bulleted_list_item',
-        bulleted_list_item: { rich_text: [
-          { text: { content: `${coherenceEmoji} Coherence: ` }, annotations: { bold: true } },
-          { text: { content: `${results.coherenceScore}/100 (${results.coherenceLevel})` } }
-        ] }
-      },
-      {
-        type: 'bulleted_list_item',
-        bulleted_list_item: { rich_text: [
-          { text: { content: 'Confidence: ' }, annotations: { bold: true } },
-          { text: { content: `${results.confidence}%` } }
-        ] }
-      },
-      {
-        type: 'bulleted_list_item',
-        bulleted_list_item: { rich_text: [
-          { text: { content: 'Change: ' }, annotations: { bold: true } },
-          { text: { content: `${results.changePercent}%` } }
-        ] }
-      },
-      {
-        type: 'bulleted_list_item',
-        bulleted_list_item: { rich_text: [
-          { text: { content: 'Trend Direction: ' }, annotations: { bold: true } },
-          { text: { content: `${results.trendDirection?.emoji || '➡️'} ${results.trendDirection?.description || 'Stable trend'} (${results.trendDirection?.strength || 'stable'})` } }
-        ] }
-      },
-      {
-        type: 'bulleted_list_item',
-        bulleted_list_item: { rich_text: [
-          { text: { content: 'Momentum: ' }, annotations: { bold: true } },
-          { text: { content: results.momentumTrend ? results.momentumTrend.charAt(0).toUpperCase() + results.momentumTrend.slice(1) : 'Steady' } }
-        ] }
-      },
-      // Data Sources Checked section
-      {
-        type: 'heading_3',
-        heading_3: { rich_text: [{ text: { content: 'Data Sources Checked' } }] }
-      },
-      {
-        type: 'bulleted_list_item',
-        bulleted_list_item: { rich_text: [{ text: { content: `Google Trends RSS (${GOOGLE_TRENDS_REGIONS.join(', ')}): ${results.regionsData || 'N/A'}` } }] }
-      },
-      {
-        type: 'bulleted_list_item',
-        bulleted_list_item: { rich_text: [{ text: { content: `Google News RSS: ${results.googleNewsRssArticleCount || 0} articles found` } }] }
-      },
-      {
-        type: 'bulleted_list_item',
-        bulleted_list_item: { rich_text: [{ text: { content: `Data sources used: ${results.dataSourcesUsed}` } }] }
-      },
-    ];
-
-    // Add Top Related Articles section
-    blocks.push({
-      type: 'heading_3',
-      heading_3: { rich_text: [{ text: { content: 'Top Related Articles' } }] }
-    });
-
-    // Parse top articles and add them as numbered list items with links
-    if (results.topArticles && results.topArticles.trim()) {
-      const articleLines = results.topArticles.split('\n').filter(line => line.trim());
-
-      for (let i = 0; i < articleLines.length; i++) {
-        const line = articleLines[i];
-        // Parse markdown link format: [Title](URL)
-        const match = line.match(/\[([^\]]+)\]\(([^)]+)\)/);
-
-        if (match) {
-          const title = match[1];
-          const url = match[2];
-          blocks.push({
-            type: 'numbered_list_item',
-            numbered_list_item: { rich_text: [
-              { text: { content: title, link: { url: url } } }
-            ] }
-          });
-        } else {
-          // Fallback: just add as text
-          blocks.push({
-            type: 'numbered_list_item',
-            numbered_list_item: { rich_text: [{ text: { content: line } }] }
-          });
-        }
-      }
-    } else {
-      blocks.push({
-        type: 'paragraph',
-        paragraph: { rich_text: [{ text: { content: 'No related articles found.' } }] }
-      });
+    if (stats.missingEnd) {
+      console.error('  Warning: Report region has no end marker - page not updated ' +
+        '(restore the "▲ End of trend report" line below the report, or delete the start marker to start a new region)');
+      return false;
     }
-
-    // Add Recommended Actions section
-    if (results.prioritizedRecommendations && results.prioritizedRecommendations.length > 0) {
-      blocks.push({
-        type: 'heading_3',
-        heading_3: { rich_text: [{ text: { content: 'Recommended Actions' } }] }
-      });
-
-      for (const rec of results.prioritizedRecommendations) {
-        const confidenceQualifier = results.confidence < 30 ? ' (low confidence)' :
-          results.confidence > 70 ? ' (high confidence)' : '';
-        blocks.push({
-          type: 'bulleted_list_item',
-          bulleted_list_item: { rich_text: [{ text: { content: `${rec.formattedText}${confidenceQualifier}` } }] }
-        });
-      }
-    }
-
-    // Add Summary section
-    blocks.push({
-      type: 'heading_3',
-      heading_3: { rich_text: [{ text: { content: 'Summary' } }] }
-    });
-
-    // Build summary explanation
-    let summaryText = results.contextSummary || 'No summary available.';
-
-    // Add score interpretation
-    if (results.trendScore >= 70) {
-      summaryText += '\n\nThis indicates a strong trending signal with high activity across monitored sources.';
-    } else if (results.trendScore >= 40) {
-      summaryText += '\n\nThis indicates moderate trending activity. Worth monitoring for changes.';
-    } else {
-      summaryText += '\n\nThis indicates low trending activity. The topic is not currently trending significantly.';
-    }
-
-    // Add coherence interpretation
-    if (results.coherenceLevel === 'High') {
-      summaryText += ' The high coherence score indicates strong agreement across data sources, making this a reliable signal.';
-    } else if (results.coherenceLevel === 'Medium') {
-      summaryText += ' The medium coherence score suggests moderate agreement across sources.';
-    } else {
-      summaryText += ' The low coherence score suggests inconsistent signals across sources - interpret with caution.';
-    }
-
-    blocks.push({
-      type: 'paragraph',
-      paragraph: { rich_text: [{ text: { content: summaryText } }] }
-    });
-
-    // Add divider
-    blocks.push({
-      type: 'divider',
-      divider: {}
-    });
-
-    // Add factor breakdown if available
-    if (results.factors) {
-      blocks.push({
-        type: 'heading_3',
-        heading_3: { rich_text: [{ text: { content: 'Score Factor Breakdown' } }] }
-      });
-      blocks.push({
-        type: 'paragraph',
-        paragraph: { rich_text: [{ text: {
-          content: `Velocity: ${results.factors.velocity} | Momentum: ${results.factors.momentum} | Sentiment: ${results.factors.sentiment} | Relevance: ${results.factors.relevance} | Authority: ${results.factors.authority} | Recency: ${results.factors.recency}`
-        } }] }
-      });
+    if (stats.legacy) {
+      console.log(`  Replaced old report with a report region (${stats.deleted} blocks removed, ${stats.inserted} added)`);
+    } else if (stats.created) {
+      console.log(`  Added report region (${stats.inserted} blocks)`);
+    } else if (process.env.VERBOSE === 'true') {
+      console.log(`  Report blocks: ${stats.kept} unchanged, ${stats.updated} updated, ${stats.inserted} added, ${stats.deleted} removed`);
     }
-
-    // Append blocks to the page
-    await notionRequest(() => notion.blocks.children.append({
-      block_id: pageId,
-      children: blocks,
-    }));
-
     return true;
   } catch (error) {
     console.error(`  Warning: Error updating page content: ${error.message}`);
@@ -828,79 +608,37 @@ async function updateMonitor(pageId, results) {
     return true;
   }
 
-  try {
-    const properties = {
-      'last_check': { date: { start: new Date().toISOString().split('T')[0] } },
-    };
-
-    // Add score properties if they exist in results
-    // Note: Property names must match exactly what's in Notion database
-    if (results.trendScore !== undefined) {
-      properties['trend_score'] = { number: results.trendScore };
-    }
-    if (results.coherenceScore !== undefined) {
-      // Try both "coherence" and "Coherency" (Notion property names are case-sensitive)
-      properties['Coherency'] = { number: results.coherenceScore };
-    }
-    if (results.confidence !== undefined) {
-      properties['confidence'] = { number: results.confidence };
-    }
-    // Also store change percentage for historical tracking
-    if (results.changePercent !== undefined) {
-      properties['change_percent'] = { number: results.changePercent };
-    }
+  // Only properties the Monitors database has (see the startup preflight)
+  const properties = {};
+  const setProperty = (name, value) => {
+    if (monitorFields[name]) properties[monitorFields[name]] = value;
+  };
+  const setText = (name, text, maxLength = MAX_CONTENT_LENGTH) => {
+    if (text) setProperty(name, { rich_text: [{ text: { content: text.substring(0, maxLength) } }] });
+  };
 
-    // Add context properties (Rich Text) - truncate to stay within Notion limits
-    if (results.topArticles) {
-      properties['top_articles'] = {
-        rich_text: [{ text: { content: results.topArticles.substring(0, MAX_CONTENT_LENGTH) } }]
-      };
-    }
-    if (results.sourceUrls) {
-      properties['source_urls'] = {
-        rich_text: [{ text: { content: results.sourceUrls.substring(0, MAX_CONTENT_LENGTH) } }]
-      };
-    }
-    if (results.regionsData) {
-      properties['regions_data'] = {
-        rich_text: [{ text: { content: results.regionsData.substring(0, MAX_CONTENT_LENGTH) } }]
-      };
-    }
-    if (results.contextSummary) {
-      properties['summary'] = {
-        rich_text: [{ text: { content: results.contextSummary.substring(0, MAX_CONTENT_LENGTH) } }]
-      };
-    }
-    if (results.recommendations) {
-      properties['recommendations'] = {
-        rich_text: [{ text: { content: results.recommendations.substring(0, 2000) } }]
-      };
-    }
+  setProperty('last_check', { date: { start: new Date().toISOString().split('T')[0] } });
+  if (results.trendScore !== undefined) setProperty('trend_score', { number: results.trendScore });
+  if (results.coherenceScore !== undefined) setProperty('Coherency', { number: results.coherenceScore });
+  if (results.confidence !== undefined) setProperty('confidence', { number: results.confidence });
+  // Also store change percentage for historical tracking
+  if (results.changePercent !== undefined) setProperty('change_percent', { number: results.changePercent });
 
+  // Context properties (Rich Text) - truncated to stay within Notion limits
+  setText('top_articles', results.topArticles);
+  setText('source_urls', results.sourceUrls);
+  setText('regions_data', results.regionsData);
+  setText('summary', results.contextSummary);
+  setText('recommendations', results.recommendations, 2000);
+
+  try {
     await notionRequest(() => notion.pages.update({
       page_id: pageId,
       properties,
     }));
     return true;
   } catch (error) {
-    // If property doesn't exist, log warning with details
-    if (error.message?.includes('property does not exist') || error.code === 'validation_error') {
-      console.error(`  Warning: Some properties may not exist in your Notion database.`);
-      console.error(`  Please add these properties to your Trend Monitors database:`);
-      console.error(`    Number properties:`);
-      console.error(`      - trend_score (Number) - stores the calculated trend score 0-100`);
-      console.error(`      - Coherency (Number) - stores the coherence score 0-100`);
-      console.error(`      - confidence (Number) - stores the confidence 0.0-1.0`);
-      console.error(`      - change_percent (Number) - stores the % change from previous`);
-      console.error(`    Rich Text properties:`);
-      console.error(`      - top_articles (Rich Text) - top 3 article links`);
-      console.error(`      - source_urls (Rich Text) - URLs checked`);
-      console.error(`      - regions_data (Rich Text) - region match summary`);
-      console.error(`      - summary (Rich Text) - what was found`);
-      console.error(`  Error: ${error.message}`);
-    } else {
-      console.error(`  Warning: Error updating monitor: ${error.message}`);
-    }
+    console.error(`  Warning: Error updating monitor: ${error.message}`);
     return false;
   }
 }
@@ -918,9 +656,9 @@ async function alertExistsToday(monitorId) {
       database_id: SIGNALS_DB,
       filter: {
         and: [
-          { property: 'source', rich_text: { contains: monitorId } },
-          { property: 'timestamp', date: { equals: today } },
-          { property: 'signal_type', select: { equals: 'TREND' } },
+          { property: signalFields.source, rich_text: { contains: monitorId } },
+          { property: signalFields.timestamp, date: { equals: today } },
+          { property: signalFields.signal_type, select: { equals: 'TREND' } },
         ]
       },
       page_size: 1
@@ -943,115 +681,20 @@ async function createAlert(monitor, trendData) {
 
   try {
     const alertId = `trend-alert-${Date.now()}-${Math.random().toString(36).substring(2, 6)}`;
-    const articlesContent = (trendData.articles || 'No related articles found').substring(0, MAX_CONTENT_LENGTH);
-
-    // Determine alert emoji based on coherence level
-    const coherenceEmoji = trendData.coherenceLevel === 'High' ? '🎯' :
-      trendData.coherenceLevel === 'Medium' ? '📊' : '⚡';
-
     await notionRequest(() => notion.pages.create({
       parent: { database_id: SIGNALS_DB },
       icon: { type: 'emoji', emoji: '📈' },
       properties: {
-        'signal_id': { title: [{ text: { content: alertId } }] },
-        'entity': { rich_text: [{ text: { content: monitor.terms.join(', ').substring(0, 100) } }] },
-        'signal_type': { select: { name: 'TREND' } },
-        'content': { rich_text: [{ text: { content: `Trend alert: ${trendData.summary}`.substring(0, 200) } }] },
-        'source': { rich_text: [{ text: { content: `Monitor: ${monitor.monitorId}` } }] },
-        'confidence': { number: trendData.confidence || 0.8 },
-        'timestamp': { date: { start: new Date().toISOString().split('T')[0] } },
-        'processed': { checkbox: false },
+        [signalFields.signal_id]: { title: [{ text: { content: alertId } }] },
+        [signalFields.entity]: { rich_text: [{ text: { content: monitor.terms.join(', ').substring(0, 100) } }] },
+        [signalFields.signal_type]: { select: { name: 'TREND' } },
+        [signalFields.content]: { rich_text: [{ text: { content: `Trend alert: ${trendData.summary}`.substring(0, 200) } }] },
+        [signalFields.source]: { rich_text: [{ text: { content: `Monitor: ${monitor.monitorId}` } }] },
+        [signalFields.confidence]: { number: trendData.confidence || 0.8 },
+        [signalFields.timestamp]: { date: { start: new Date().toISOString().split('T')[0] } },
+        [signalFields.processed]: { checkbox: false },
       },
-      children: [
-        {
-          type: 'heading_2',
-          heading_2: { rich_text: [{ text: { content: '📈 Trend Alert' } }] }
-        },
-        {
-          type: 'callout',
-          callout: {
-            icon: { type: 'emoji', emoji: '⚠️' },
-            rich_text: [{ text: { content: `Threshold exceeded: ${trendData.changePercent}% change (threshold: ${monitor.threshold}%)` } }]
-          }
-        },
-        {
-          type: 'heading_3',
-          heading_3: { rich_text: [{ text: { content: 'Scoring Metrics' } }] }
-        },
-        {
-          type: 'bulleted_list_item',
-          bulleted_list_item: { rich_text: [{ text: { content: `Trend Score: ${trendData.trendScore} (raw: ${trendData.rawScore || trendData.trendScore})` } }] }
-        },
-        {
-          type: 'bulleted_list_item',
-          bulleted_list_item: { rich_text: [{ text: { content: `${coherenceEmoji} Coherence: ${trendData.coherenceScore || 'N/A'} (${trendData.coherenceLevel || 'Unknown'})` } }] }
-        },
-        {
-          type: 'bulleted_list_item',
-          bulleted_list_item: { rich_text: [{ text: { content: `Confidence: ${trendData.confidence}%` } }] }
-        },
-        {
-          type: 'bulleted_list_item',
-          bulleted_list_item: { rich_text: [{ text: { content: `Change: ${trendData.changePercent}%` } }] }
-        },
-        {
-          type: 'bulleted_list_item',
-          bulleted_list_item: { rich_text: [{ text: { content: `Trend Direction: ${trendData.trendDirection?.emoji || '➡️'} ${trendData.trendDirection?.description || 'Stable'} (${trendData.trendDirection?.strength || 'stable'})` } }] }
-        },
-        {
-          type: 'bulleted_list_item',
-          bulleted_list_item: { rich_text: [{ text: { content: `Momentum: ${trendData.momentumTrend ? trendData.momentumTrend.charAt(0).toUpperCase() + trendData.momentumTrend.slice(1) : 'Steady'}` } }] }
-        },
-        {
-          type: 'heading_3',
-          heading_3: { rich_text: [{ text: { content: 'Score Factors' } }] }
-        },
-        {
-          type: 'paragraph',
-          paragraph: { rich_text: [{ text: { content: trendData.factors ?
-            `Velocity: ${trendData.factors.velocity} | Momentum: ${trendData.factors.momentum} | Relevance: ${trendData.factors.relevance} | Authority: ${trendData.factors.authority} | Recency: ${trendData.factors.recency}` :
-            'Factor breakdown not available' } }] }
-        },
-        {
-          type: 'heading_3',
-          heading_3: { rich_text: [{ text: { content: 'Monitor Details' } }] }
-        },
-        {
-          type: 'bulleted_list_item',
-          bulleted_list_item: { rich_text: [{ text: { content: `Monitor ID: ${monitor.monitorId}` } }] }
-        },
-        {
-          type: 'bulleted_list_item',
-          bulleted_list_item: { rich_text: [{ text: { content: `Terms: ${monitor.terms.join(', ')}` } }] }
-        },
-        {
-          type: 'bulleted_list_item',
-          bulleted_list_item: { rich_text: [{ text: { content: `Interval: ${monitor.interval}` } }] }
-        },
-        {
-          type: 'bulleted_list_item',
-          bulleted_list_item: { rich_text: [{ text: { content: `Data Sources: ${trendData.dataSourcesUsed}` } }] }
-        },
-        {
-          type: 'heading_3',
-          heading_3: { rich_text: [{ text: { content: 'Recommended Action' } }] }
-        },
-        {
-          type: 'callout',
-          callout: {
-            icon: { type: 'emoji', emoji: '💡' },
-            rich_text: [{ text: { content: trendData.topRecommendation || 'No recommendations available' } }]
-          }
-        },
-        {
-          type: 'heading_3',
-          heading_3: { rich_text: [{ text: { content: 'Related Articles' } }] }
-        },
-        {
-          type: 'paragraph',
-          paragraph: { rich_text: [{ text: { content: articlesContent } }] }
-        },
-      ]
+      children: renderPageTemplate(PAGE_TEMPLATES.templates, 'trend-alert', null, alertTemplateData(monitor, trendData)),
     }));
     return true;
   } catch (error) {
@@ -1060,6 +703,25 @@ async function createAlert(monitor, trendData) {
   }
 }
 
+/**
+ * Send a trend alert to the notification channels whose filters match
+ * @returns {Promise<object>} { sent, failed, filtered }
+ */
+async function notifyAlert(monitor, trendData) {
+  return sendNotification(NOTIFIER, {
+    kind: 'trend_alert',
+    title: `Trend alert: ${monitor.monitorId}`,
+    summary: `${trendData.summary} (${trendData.changePercent}% change, threshold ${monitor.threshold}%)`,
+    signalType: 'TREND',
+    confidence: (trendData.confidence || 0) / 100,
+    monitor: monitor.monitorId,
+    terms: monitor.terms.join(', '),
+    trendScore: trendData.trendScore,
+    changePercent: trendData.changePercent,
+    recommendation: trendData.topRecommendation || '',
+  }, { dryRun: DRY_RUN });
+}
+
 // ============================================================================
 // TREND DATA SOURCES
 // ============================================================================
@@ -2341,6 +2003,11 @@ async function main() {
     process.exit(1);
   }
 
+  if (PROPERTY_ALIASES.error) {
+    console.error(`Error: Invalid property aliases ${PROPERTY_ALIASES.error}`);
+    process.exit(1);
+  }
+
   // Warn if SIGNALS_DB not configured
   if (!SIGNALS_DB) {
     console.log('Warning: SIGNALS_DATABASE_ID not set - alerts will be disabled');
@@ -2354,6 +2021,21 @@ async function main() {
   console.log(`  - NewsData.io: ${process.env.NEWSDATA_API_KEY ? 'Configured' : 'Not configured'}`);
   console.log(`  - SerpAPI: ${process.env.SERPAPI_KEY ? 'Configured' : 'Not configured'}`);
   console.log('');
+  for (const error of PAGE_TEMPLATES.errors) {
+    console.error(`Warning: Invalid page template ${error}`);
+  }
+  if (PAGE_TEMPLATES.overrides.length > 0) {
+    console.log(`Page templates: ${PAGE_TEMPLATES.overrides.join(', ')} (${process.env.PAGE_TEMPLATES_DIR})`);
+    console.log('');
+  }
+  if (NOTIFIER.error) console.error(`Warning: Invalid notification config ${NOTIFIER.error}`);
+  for (const name of NOTIFIER.missing) {
+    console.error(`Warning: Notification channel "${name}" has no webhook URL set - skipped`);
+  }
+  if (NOTIFIER.channels.length > 0) {
+    console.log(`Notifications: ${NOTIFIER.channels.map(c => `${c.name} (${c.type})`).join(', ')}`);
+    console.log('');
+  }
   console.log('Scoring v2 Features:');
   console.log('  - 6-factor trend scoring (velocity, momentum, sentiment, relevance, authority, recency)');
   console.log('  - Coherence metric (signal quality 0-100)');
@@ -2361,10 +2043,18 @@ async function main() {
   console.log('');
 
   try {
-    // Test Notion connection
-    console.log('Testing Notion connection...');
-    await notionRequest(() => notion.databases.retrieve({ database_id: MONITORS_DB }));
-    console.log('Notion connection successful');
+    // Check the database schemas before fetching anything
+    console.log('Checking database schemas...');
+    const monitorsCheck = await preflightDatabase({ notion, notionRequest }, DATABASE_SCHEMAS.monitors, MONITORS_DB, PROPERTY_ALIASES.aliases.monitors);
+    monitorFields = monitorsCheck.fields;
+    const unsaved = monitorsCheck.missing.map(entry => entry.name);
+    if (unsaved.length > 0) {
+      console.log(`  Note: Trend Monitors database has no ${unsaved.join(', ')} properties - those results will not be saved`);
+    }
+    if (SIGNALS_DB) {
+      signalFields = (await preflightDatabase({ notion, notionRequest }, DATABASE_SCHEMAS.signals, SIGNALS_DB, PROPERTY_ALIASES.aliases.signals)).fields;
+    }
+    console.log('Notion connection successful, schemas OK');
     console.log('');
 
     // Step 1: Fetch active monitors
@@ -2382,6 +2072,7 @@ async function main() {
     let analyzed = 0;
     let alerts = 0;
     let errors = 0;
+    let notified = 0;
 
     for (const monitor of monitorsToCheck) {
       try {
@@ -2403,6 +2094,9 @@ async function main() {
             if (!alertExists) {
               const created = await createAlert(monitor, trendData);
               if (created) alerts++;
+              if (created && NOTIFIER.channels.length > 0) {
+                notified += (await notifyAlert(monitor, trendData)).sent;
+              }
             } else {
               console.log(`  Skipping duplicate alert for ${monitor.monitorId}`);
             }
@@ -2424,6 +2118,8 @@ async function main() {
     console.log(`Total active monitors:   ${monitors.length}`);
     console.log(`Monitors checked:        ${analyzed}`);
     console.log(`Alerts created:          ${alerts}`);
+    if (NOTIFIER.channels.length > 0) console.log(`Notifications sent:      ${notified}`);
+    console.log(`Notion API:              ${formatNotionStats(notionStats)}`);
     console.log(`Errors:                  ${errors}`);
     console.log(`Completed:               ${new Date().toISOString()}`);
     console.log('');